@@ -0,0 +1,17 @@
+// Node module hooks for scripts/rz9.mjs. The app's modules in src/ are ES
+// modules in .js files that import each other without extensions, the way the
+// CRA build expects; these hooks let Node load them unchanged.
+
+const SRC = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith(".") && context.parentURL?.startsWith(SRC) && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith(".js")) return nextLoad(url, { ...context, format: "module" });
+  return nextLoad(url, context);
+}
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * rz9 — manage the drills' practice data (public/rz9_data, public/drills/<id>)
+ * from the command line
+ *
+ * Usage: npm run rz9 -- <command> [season...] [--drill <id>] [--model <id>]
+ *
+ *   manifest     rewrite each season's manifest.json from the YYYY-MM-DD.json
+ *                files in its folder
+ *   validate     check every practice against roster.json; exits 1 on problems
+ *   leaderboard  print the leaderboard (latest season unless one is given)
+ *   snapshot     write <season>/leaderboard.json, the leaderboard as of now
+ *   bundle       write <season>/bundle.json, every practice in one file
+ *   prepare      manifest, validate, then bundle and snapshot; `npm run deploy`
+ *                runs this first
+ *
+ * --drill picks one drill from src/rz9/drills.js; without it every drill with
+ * seasons is handled in turn. Seasons are ids from that drill's seasons.json
+ * and default to all of them. --model picks the rating model (elo, glicko2,
+ * beta, trueskill; default: the drill's own).
+ *
+ * The numbers come from the same src/rz9 modules the app uses, loaded through
+ * scripts/rz9-loader.mjs, so the terminal and the site always agree.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { register } from "node:module";
+import { fileURLToPath } from "node:url";
+
+register("./rz9-loader.mjs", import.meta.url);
+
+const {
+  aggregatePlayerStats,
+  buildRoster,
+  computeAttendance,
+  computeCarryOverRatings,
+  computePlayerContributions,
+  playerName,
+  toLeaderboard,
+  EMPTY_ROSTER,
+  CONSERVATIVE_Z,
+} = await import("../src/rz9/rz9Utils.js");
+const { loadSeasonPractices } = await import("../src/rz9/dataSource.js");
+const { carryOverRatings, formatRating, formatSpread, ratingValue, getRatingModel, ELO, RATING_MODELS } = await import(
+  "../src/rz9/ratingModels.js"
+);
+const { DRILLS, getDrill } = await import("../src/rz9/drills.js");
+
+const PUBLIC_DIR = fileURLToPath(new URL("../public/", import.meta.url));
+const PRACTICE_FILE = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+// Reads a drill's folder under public/ the way the static data source reads it over HTTP
+function fileSource(drill, dir) {
+  return {
+    name: "file",
+    drill,
+    list: async (season) => readJson(path.join(dir, season, "manifest.json")),
+    load: async (file, season) => readJson(path.join(dir, season, file)),
+    save: null,
+    bundle: null,
+  };
+}
+
+const COMMANDS = { manifest, validate, leaderboard, snapshot, bundle, prepare };
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(`rz9: ${e.message}`);
+  process.exitCode = 1;
+});
+
+async function main(argv) {
+  const { command, seasonIds, drillId, modelId, help } = parseArgs(argv);
+  if (help || !command) {
+    printUsage();
+    return;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new Error(`Unknown command "${command}". Try --help.`);
+
+  if (modelId && !RATING_MODELS.some((m) => m.id === modelId)) {
+    throw new Error(`Unknown model "${modelId}" (${RATING_MODELS.map((m) => m.id).join(", ")}).`);
+  }
+  const drills = drillId ? [getDrill(drillId)] : DRILLS;
+  if (!drills[0]) throw new Error(`Unknown drill "${drillId}" (${DRILLS.map((d) => d.id).join(", ")}).`);
+
+  let ok = true;
+  for (const drill of drills) {
+    const dir = path.join(PUBLIC_DIR, drill.dataPath);
+    const seasonsFile = path.join(dir, "seasons.json");
+    // every drill is optional unless asked for by name
+    if (!drillId && !fs.existsSync(seasonsFile)) continue;
+    const seasons = readJson(seasonsFile);
+    if (!seasons.length && !seasonIds.length) {
+      if (drillId) console.log(`${drill.dataPath}: no seasons yet.`);
+      continue;
+    }
+    for (const id of seasonIds) {
+      if (!seasons.some((s) => s.id === id)) throw new Error(`Unknown season "${id}" (not in ${drill.dataPath}/seasons.json).`);
+    }
+    if (drills.length > 1) console.log(`\n== ${drill.name} (${drill.dataPath}) ==`);
+    const model = getRatingModel(modelId ?? drill.rating.model);
+    const context = { drill, dir, source: fileSource(drill, dir), seasons, seasonIds, model };
+    if ((await run(context)) === false) ok = false;
+  }
+  if (!ok) process.exitCode = 1;
+}
+
+// ---------- commands ----------
+
+function manifest({ drill, dir, seasons, seasonIds }) {
+  for (const id of seasonIds.length ? seasonIds : seasons.map((s) => s.id)) {
+    const file = path.join(dir, id, "manifest.json");
+    const files = practiceFiles(drill, dir, id);
+    const before = fs.existsSync(file) ? readJson(file) : [];
+    const added = files.filter((f) => !before.includes(f));
+    const removed = before.filter((f) => !files.includes(f));
+
+    if (before.join() === files.join()) {
+      console.log(`${id}/manifest.json: up to date (${files.length} practices)`);
+      continue;
+    }
+    // same layout as the hand-written manifests, so unchanged entries don't show up in diffs
+    fs.writeFileSync(file, JSON.stringify(files, null, 4));
+    const changes = [...added.map((f) => `+${f}`), ...removed.map((f) => `-${f}`)];
+    console.log(`${id}/manifest.json: ${files.length} practices${changes.length ? ` (${changes.join(", ")})` : " (reordered)"}`);
+  }
+
+  const listed = new Set(seasons.map((s) => s.id));
+  for (const season of seasonDirs(dir)) {
+    if (!listed.has(season)) console.warn(`warning: ${drill.dataPath}/${season} is not listed in seasons.json`);
+  }
+}
+
+async function validate({ drill, dir, source, seasons, seasonIds }) {
+  const roster = readRoster();
+  const issues = [];
+  if (!roster.players.length) issues.push({ file: "roster.json", field: "", message: "Missing or empty; player names were not checked." });
+
+  for (const id of seasonIds.length ? seasonIds : seasons.map((s) => s.id)) {
+    const listed = readJson(path.join(dir, id, "manifest.json"));
+    for (const file of practiceFiles(drill, dir, id).filter((f) => !listed.includes(f))) {
+      issues.push({ file: `${id}/manifest.json`, field: "", message: `${file} is not listed; run "npm run rz9 -- manifest".` });
+    }
+    const loaded = await loadSeasonPractices(source, id, roster);
+    issues.push(...loaded.issues);
+    console.log(`${id}: ${loaded.practices.length} practices checked`);
+  }
+
+  if (issues.length === 0) {
+    console.log("No problems found.");
+    return true;
+  }
+  const byFile = new Map();
+  for (const issue of issues) {
+    if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+    byFile.get(issue.file).push(issue);
+  }
+  console.log(`\n${issues.length} problem${issues.length === 1 ? "" : "s"}:`);
+  for (const [file, list] of byFile) {
+    console.log(`  ${file}`);
+    for (const issue of list) console.log(`    ${issue.field ? `${issue.field}: ` : ""}${issue.message}`);
+  }
+  return false;
+}
+
+async function leaderboard({ drill, source, seasons, seasonIds, model }) {
+  const roster = readRoster();
+  for (const id of seasonIds.length ? seasonIds : [seasons[seasons.length - 1]?.id].filter(Boolean)) {
+    const { season, practices, rows } = await seasonLeaderboard(drill, source, seasons, id, roster, model);
+    console.log(`\n${season.name || season.id} · ${practices.length} practices · ${model.name}\n`);
+    printTable(
+      ["#", "Player", "Rating", "± (95%)", drill.metrics.rateLabel, drill.metrics.attempts.label, "Attended"],
+      rows.map((r, i) => [
+        i + 1,
+        playerName(roster, r.player),
+        formatRating(model, r.rating),
+        formatSpread(model, r.rd),
+        `${(r.pct * 100).toFixed(1)}%`,
+        r.reps,
+        `${r.attended} / ${r.held}`,
+      ])
+    );
+  }
+}
+
+async function snapshot({ drill, dir, source, seasons, seasonIds, model }) {
+  const roster = readRoster();
+  for (const id of seasonIds.length ? seasonIds : seasons.map((s) => s.id)) {
+    const { season, practices, rows } = await seasonLeaderboard(drill, source, seasons, id, roster, model);
+    const out = {
+      drill: drill.id,
+      season: season.id,
+      name: season.name ?? season.id,
+      generated: new Date().toISOString(),
+      model: model.id,
+      practices: practices.map((p) => p.date),
+      rows: rows.map((r, i) => ({
+        rank: i + 1,
+        player: r.player,
+        name: playerName(roster, r.player),
+        scored: r.scored,
+        reps: r.reps,
+        pct: round(r.pct, 4),
+        rating: ratingValue(model, r.rating),
+        spread: ratingValue(model, CONSERVATIVE_Z * r.rd),
+        conservative: ratingValue(model, r.conservative),
+        contribution: round(r.contribution, 4),
+        attended: r.attended,
+        held: r.held,
+      })),
+    };
+    writeJson(path.join(dir, id, "leaderboard.json"), out);
+    console.log(`${id}/leaderboard.json: ${out.rows.length} players`);
+  }
+}
+
+function bundle({ dir, seasons, seasonIds }) {
+  for (const id of seasonIds.length ? seasonIds : seasons.map((s) => s.id)) {
+    const files = readJson(path.join(dir, id, "manifest.json")).filter((f) => fs.existsSync(path.join(dir, id, f)));
+    const practices = Object.fromEntries(files.map((f) => [f, readJson(path.join(dir, id, f))]));
+    writeJson(path.join(dir, id, "bundle.json"), { generated: new Date().toISOString(), practices });
+    console.log(`${id}/bundle.json: ${files.length} practices`);
+  }
+}
+
+async function prepare(options) {
+  manifest(options);
+  if (!(await validate(options))) {
+    console.error("\nFix the problems above first; bundle.json and leaderboard.json were not written.");
+    return false;
+  }
+  bundle(options);
+  await snapshot(options);
+  return true;
+}
+
+// ---------- helpers ----------
+
+// The leaderboard as the site shows it by default: no filters, ratings as of
+// today, earlier seasons carried over when the season says so
+async function seasonLeaderboard(drill, source, seasons, id, roster, model) {
+  const idx = seasons.findIndex((s) => s.id === id);
+  const season = seasons[idx];
+  const wanted = season.carryOver ? seasons.slice(0, idx + 1) : [season];
+  const loaded = await Promise.all(wanted.map((s) => loadSeasonPractices(source, s.id, roster)));
+  const practices = loaded[loaded.length - 1].practices;
+  const prior = loaded.slice(0, -1).flatMap((l) => l.practices);
+
+  const ratingOptions = { neutral: drill.rating.neutral };
+  const initialRatings = prior.length ? computeCarryOverRatings(prior, ratingOptions) : null;
+  const modelInitial = model === ELO ? initialRatings : prior.length ? carryOverRatings(model, prior, ratingOptions) : null;
+  const modelRatings = model === ELO ? null : model.rate(practices, { ...ratingOptions, initialRatings: modelInitial });
+  const attendance = computeAttendance(practices);
+  const rows = toLeaderboard(aggregatePlayerStats(practices), computePlayerContributions(practices), {
+    initialRatings,
+    ratingOptions,
+    ratings: modelRatings,
+  }).map((r) => ({ ...r, ...attendance.get(r.player) }));
+
+  return { season, practices, rows };
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  let modelId = null;
+  let drillId = null;
+  let help = false;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") help = true;
+    else if (arg === "--model") modelId = argv[++i];
+    else if (arg.startsWith("--model=")) modelId = arg.slice("--model=".length);
+    else if (arg === "--drill") drillId = argv[++i];
+    else if (arg.startsWith("--drill=")) drillId = arg.slice("--drill=".length);
+    else if (arg.startsWith("-")) throw new Error(`Unknown option "${arg}". Try --help.`);
+    else positional.push(arg);
+  }
+  const [command, ...seasonIds] = positional;
+  return { command, seasonIds, drillId, modelId, help };
+}
+
+function printUsage() {
+  console.log(`Usage: npm run rz9 -- <command> [season...] [--drill <id>] [--model <id>]
+
+Commands:
+  manifest     rewrite each season's manifest.json from its practice files
+  validate     check every practice against roster.json (exits 1 on problems)
+  leaderboard  print the leaderboard (latest season unless one is given)
+  snapshot     write <season>/leaderboard.json
+  bundle       write <season>/bundle.json, every practice in one file
+  prepare      manifest + validate, then bundle + snapshot
+
+Drills: ${DRILLS.map((d) => d.id).join(", ")} (default: every drill with seasons).
+Seasons default to every season in the drill's seasons.json.
+Models: ${RATING_MODELS.map((m) => m.id).join(", ")} (default: the drill's, ${ELO.id} for ${DRILLS[0].id}).`);
+}
+
+function printTable(header, rows) {
+  const cells = [header, ...rows].map((r) => r.map(String));
+  const widths = header.map((_, c) => Math.max(...cells.map((r) => r[c].length)));
+  const numeric = header.map((_, c) => rows.every((r) => typeof r[c] === "number" || /^[\d.±+−%/ -]+$/.test(String(r[c]))));
+  const line = (r) => r.map((v, c) => (numeric[c] ? v.padStart(widths[c]) : v.padEnd(widths[c]))).join("  ").trimEnd();
+  console.log(line(cells[0]));
+  console.log(widths.map((w) => "-".repeat(w)).join("  "));
+  for (const r of cells.slice(1)) console.log(line(r));
+}
+
+function practiceFiles(drill, dir, season) {
+  const seasonDir = path.join(dir, season);
+  if (!fs.existsSync(seasonDir)) throw new Error(`${drill.dataPath}/${season} does not exist.`);
+  return fs.readdirSync(seasonDir).filter((f) => PRACTICE_FILE.test(f)).sort();
+}
+
+function seasonDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name);
+}
+
+function readRoster() {
+  const file = path.join(PUBLIC_DIR, "roster.json");
+  return fs.existsSync(file) ? buildRoster(readJson(file)) : EMPTY_ROSTER;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`${path.relative(PUBLIC_DIR, file)}: ${e.code === "ENOENT" ? "not found" : e.message}`);
+  }
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+function round(v, digits) {
+  return v == null ? null : Number(v.toFixed(digits));
+}
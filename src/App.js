@@ -1,8 +1,23 @@
 import './App.css';
-import { HashRouter as Router, Routes, Route } from 'react-router-dom';
+import { HashRouter as Router, Routes, Route, useParams } from 'react-router-dom';
 import Home from './Home';
 import Leaderboard from './rz9/Leaderboard';
 import Generate from './rz9/Generate';
+import Backtest from './rz9/Backtest';
+import Compare from './rz9/Compare';
+import { getDrill } from './rz9/drills';
+
+// Other drills get the same pages under /drills/:drillId. Keyed by drill so
+// switching drills starts each page (and its Generate draft) fresh.
+function DrillPage({ children }) {
+  const { drillId } = useParams();
+  if (!getDrill(drillId)) return <p style={{ padding: 16 }}>Unknown drill "{drillId}".</p>;
+  return <div key={drillId}>{children}</div>;
+}
+
+function drill(page) {
+  return <DrillPage>{page}</DrillPage>;
+}
 
 function App() {
   return (
@@ -15,6 +30,28 @@ function App() {
         <Route path = '/home' element={<Home/>}/>
         <Route path='/rz9' element={<Leaderboard/>}/>
         <Route path='/rz9/generate' element={<Generate/>}/>
+        <Route path='/rz9/backtest' element={<Backtest/>}/>
+        <Route path='/rz9/compare' element={<Compare/>}/>
+        <Route path='/rz9/player/:playerId' element={<Leaderboard/>}/>
+        <Route path='/rz9/practice/:date' element={<Leaderboard/>}/>
+        <Route path='/rz9/:season' element={<Leaderboard/>}/>
+        <Route path='/rz9/:season/generate' element={<Generate/>}/>
+        <Route path='/rz9/:season/backtest' element={<Backtest/>}/>
+        <Route path='/rz9/:season/compare' element={<Compare/>}/>
+        <Route path='/rz9/:season/player/:playerId' element={<Leaderboard/>}/>
+        <Route path='/rz9/:season/practice/:date' element={<Leaderboard/>}/>
+        <Route path='/drills/:drillId' element={drill(<Leaderboard/>)}/>
+        <Route path='/drills/:drillId/generate' element={drill(<Generate/>)}/>
+        <Route path='/drills/:drillId/backtest' element={drill(<Backtest/>)}/>
+        <Route path='/drills/:drillId/compare' element={drill(<Compare/>)}/>
+        <Route path='/drills/:drillId/player/:playerId' element={drill(<Leaderboard/>)}/>
+        <Route path='/drills/:drillId/practice/:date' element={drill(<Leaderboard/>)}/>
+        <Route path='/drills/:drillId/:season' element={drill(<Leaderboard/>)}/>
+        <Route path='/drills/:drillId/:season/generate' element={drill(<Generate/>)}/>
+        <Route path='/drills/:drillId/:season/backtest' element={drill(<Backtest/>)}/>
+        <Route path='/drills/:drillId/:season/compare' element={drill(<Compare/>)}/>
+        <Route path='/drills/:drillId/:season/player/:playerId' element={drill(<Leaderboard/>)}/>
+        <Route path='/drills/:drillId/:season/practice/:date' element={drill(<Leaderboard/>)}/>
       </Routes>
     </Router>
   );
@@ -1,6 +1,6 @@
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
 // TODO: Add SDKs for Firebase products that you want to use
 // https://firebase.google.com/docs/web/setup#available-libraries
 
@@ -20,4 +20,13 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 // const analytics = getAnalytics(app);
 const db = getFirestore(app);
+
+// Use the local emulator (`npm run emulators`) when configured,
+// e.g. REACT_APP_FIRESTORE_EMULATOR_HOST=localhost:8080
+const emulatorHost = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST;
+if (emulatorHost) {
+  const [host, port] = emulatorHost.split(":");
+  connectFirestoreEmulator(db, host, Number(port) || 8080);
+}
+
 export { db };
\ No newline at end of file
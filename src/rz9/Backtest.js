@@ -0,0 +1,262 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { fetchRoster, fetchSeasons, formatPct, EMPTY_ROSTER, ALL_SEASONS } from "./rz9Utils";
+import { getDataSource, loadSeasonPractices } from "./dataSource";
+import { backtestRatings, fitRatingParamsAsync, DEFAULT_PARAMS } from "./backtestUtils";
+import { getDrill, drillPath } from "./drills";
+
+/**
+ * Backtest — how well the rating predicts practices it hasn't seen yet
+ *
+ * Routes: /rz9/backtest (latest season), /rz9/:season/backtest, and the same
+ * under /drills/:drillId
+ *
+ * Walks the season's practices in order, predicting each team's scoring
+ * rate from ratings built on the earlier practices only, and scores the
+ * predictions (log-loss, Brier, calibration) for the default parameters in
+ * rz9Utils.js, with the drill's ν. "Search parameters" looks for values that
+ * predict better.
+ */
+
+// Parameters shown in the comparison, with their playground URL keys
+const SHOWN = [
+  { option: "halfLifeDays", label: "H", key: "H" },
+  { option: "K", label: "K", key: "K" },
+  { option: "width", label: "W", key: "W" },
+  { option: "neutral", label: "ν", key: "nu" },
+];
+
+export default function Backtest() {
+  const { season: seasonParam, drillId } = useParams();
+  const drill = getDrill(drillId);
+  const defaults = useMemo(() => ({ ...DEFAULT_PARAMS, neutral: drill.rating.neutral }), [drill]);
+  const [seasonId, setSeasonId] = useState(null);
+  const [practices, setPractices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fit, setFit] = useState(null);
+  const [searching, setSearching] = useState(null); // backtests run so far, while searching
+  const search = useRef(null); // AbortController of the running search
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setFit(null);
+    search.current?.abort();
+    setSearching(null);
+    (async () => {
+      try {
+        const seasons = await fetchSeasons(drill.dataPath);
+        if (!Array.isArray(seasons)) throw new Error("seasons.json isn't a list of seasons");
+        const target = seasonParam || seasons[seasons.length - 1]?.id;
+        const wanted = target === ALL_SEASONS ? seasons : seasons.filter((s) => s.id === target);
+        if (wanted.length === 0) throw new Error(`Unknown season "${target}"`);
+
+        let roster = EMPTY_ROSTER;
+        try {
+          roster = await fetchRoster();
+        } catch (e) {
+          console.warn(e);
+        }
+
+        const source = getDataSource(undefined, drill);
+        const loaded = await Promise.all(wanted.map((s) => loadSeasonPractices(source, s.id, roster)));
+        if (!cancelled) {
+          setSeasonId(target);
+          setPractices(loaded.flatMap((l) => l.practices));
+        }
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) setError("Failed to load practice data.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [seasonParam, drill]);
+
+  // Stop a running search when leaving the page
+  useEffect(() => () => search.current?.abort(), []);
+
+  const current = useMemo(() => backtestRatings(practices, defaults), [practices, defaults]);
+  const shown = fit ? fit.result : current;
+
+  async function runSearch() {
+    const controller = new AbortController();
+    search.current = controller;
+    setSearching(0);
+    const found = await fitRatingParamsAsync(practices, { start: defaults, signal: controller.signal, onProgress: setSearching });
+    if (controller.signal.aborted) return;
+    setFit(found);
+    setSearching(null);
+  }
+
+  const playgroundLink = fit
+    ? `${drillPath(drill, seasonId)}?` + SHOWN.map((p) => `${p.key}=${fit.params[p.option]}`).join("&")
+    : null;
+
+  return (
+    <div style={{ maxWidth: 900, margin: "40px auto", padding: "0 16px" }}>
+      <header style={{ marginBottom: 16 }}>
+        <h1 style={{ margin: 0 }}>Backtest · {drill.name}</h1>
+        <div style={{ color: "#555", marginTop: 4 }}>
+          Season: <strong>{seasonId === ALL_SEASONS ? "All-time" : seasonId || "—"}</strong> · Practices: <strong>{practices.length}</strong> ·{" "}
+          <Link to={drillPath(drill, seasonId)}>Back to leaderboard</Link>
+        </div>
+      </header>
+
+      {loading && <p>Loading practice data…</p>}
+      {error && <p style={{ color: "crimson" }}>{error}</p>}
+
+      {!loading && !error && practices.length < 2 && (
+        <p style={{ color: "#555" }}>At least two practices are needed to backtest.</p>
+      )}
+
+      {!loading && !error && practices.length >= 2 && (
+        <>
+          <section style={card}>
+            <h2 style={h2}>Prediction scores</h2>
+            <p style={note}>Lower is better. Each rep counts once; the baseline predicts the league scoring rate so far.</p>
+            <table style={table}>
+              <thead>
+                <tr>
+                  <TH>Model</TH>
+                  {SHOWN.map((p) => <TH key={p.option}>{p.label}</TH>)}
+                  <TH>Log-loss</TH>
+                  <TH>Brier</TH>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <TD>Current (rz9Utils.js)</TD>
+                  {SHOWN.map((p) => <TD key={p.option}>{defaults[p.option]}</TD>)}
+                  <TD>{current.logLoss.toFixed(4)}</TD>
+                  <TD>{current.brier.toFixed(4)}</TD>
+                </tr>
+                {fit && (
+                  <tr>
+                    <TD><strong>Best found</strong></TD>
+                    {SHOWN.map((p) => (
+                      <TD key={p.option}>
+                        {fit.params[p.option] !== defaults[p.option] ? <strong>{fit.params[p.option]}</strong> : fit.params[p.option]}
+                      </TD>
+                    ))}
+                    <TD><strong>{fit.result.logLoss.toFixed(4)}</strong></TD>
+                    <TD>{fit.result.brier.toFixed(4)}</TD>
+                  </tr>
+                )}
+                <tr>
+                  <TD>League-rate baseline</TD>
+                  {SHOWN.map((p) => <TD key={p.option}>—</TD>)}
+                  <TD>{current.baseline.logLoss.toFixed(4)}</TD>
+                  <TD>{current.baseline.brier.toFixed(4)}</TD>
+                </tr>
+              </tbody>
+            </table>
+            <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 12 }}>
+              <button type="button" onClick={runSearch} disabled={searching != null} style={button}>
+                {searching != null ? `Searching… ${searching} backtests` : "Search parameters"}
+              </button>
+              {fit && (
+                <small style={{ color: "#555" }}>
+                  {fit.evaluations} backtests · <Link to={playgroundLink}>Open in playground</Link>
+                </small>
+              )}
+            </div>
+          </section>
+
+          <section style={card}>
+            <h2 style={h2}>Calibration{fit ? " (best found)" : ""}</h2>
+            <p style={note}>Reps grouped by predicted scoring rate. A well-calibrated model has predicted ≈ observed in every row.</p>
+            <table style={table}>
+              <thead>
+                <tr>
+                  <TH>Predicted range</TH>
+                  <TH>Reps</TH>
+                  <TH>Mean predicted</TH>
+                  <TH>Observed</TH>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.calibration.map((b) => (
+                  <tr key={b.lo}>
+                    <TD>{formatPct(b.lo)} – {formatPct(b.hi)}</TD>
+                    <TD>{b.reps}</TD>
+                    <TD>{formatPct(b.predicted)}</TD>
+                    <TD>{formatPct(b.observed)}</TD>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section style={card}>
+            <h2 style={h2}>Predictions{fit ? " (best found)" : ""}</h2>
+            <table style={table}>
+              <thead>
+                <tr>
+                  <TH>Date</TH>
+                  <TH>Team</TH>
+                  <TH>Reps</TH>
+                  <TH>Predicted</TH>
+                  <TH>Actual</TH>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.predictions.map((pr) => (
+                  <tr key={`${pr.date}-${pr.teamId}`}>
+                    <TD>{pr.date}</TD>
+                    <TD>{pr.teamId}</TD>
+                    <TD>{pr.reps}</TD>
+                    <TD>{formatPct(pr.predicted)}</TD>
+                    <TD><strong>{formatPct(pr.actual)}</strong></TD>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---------- styles ----------
+
+const card = {
+  border: "1px solid #eee",
+  borderRadius: 8,
+  padding: 16,
+  margin: "12px 0",
+  background: "#fff",
+  overflowX: "auto",
+};
+const h2 = { margin: "0 0 4px", fontSize: 20 };
+const note = { margin: "0 0 8px", color: "#666", fontSize: 14 };
+const table = { width: "100%", borderCollapse: "collapse" };
+const button = {
+  padding: "8px 14px",
+  border: "1px solid #7ab8ff",
+  background: "#e6f3ff",
+  borderRadius: 6,
+  fontSize: 14,
+  cursor: "pointer",
+};
+
+function TH({ children }) {
+  return (
+    <th style={{ textAlign: "left", borderBottom: "2px solid #ddd", padding: "8px", fontWeight: 600, fontSize: 14 }}>
+      {children}
+    </th>
+  );
+}
+function TD({ children }) {
+  return (
+    <td style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: "8px" }}>
+      {children}
+    </td>
+  );
+}
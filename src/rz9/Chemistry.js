@@ -0,0 +1,316 @@
+import React, { useMemo, useState } from "react";
+import { computeChemistry, formatPct, formatPP, playerName } from "./rz9Utils";
+
+/**
+ * Chemistry — which pairings actually work
+ *
+ * Props:
+ * - practices: normalized practices on screen
+ * - roster: registry from buildRoster, for display names
+ * - setSelectedPractice: (date) => void   opens PracticeDetails
+ *
+ * The matrix shows one metric per pair of players (lift, rate together or
+ * reps together). Clicking a player's name orders the matrix by that
+ * player's row; clicking a cell or a row of the pair list shows the
+ * practices the two shared. Pairs under the minimum reps are hidden.
+ */
+
+const METRICS = [
+  { key: "lift", label: "Lift vs apart" },
+  { key: "pct", label: "Rate together" },
+  { key: "reps", label: "Reps together" },
+];
+
+const COLUMNS = [
+  { key: "reps", label: "Reps" },
+  { key: "pct", label: "Together" },
+  { key: "apartA", label: "1st apart" },
+  { key: "apartB", label: "2nd apart" },
+  { key: "lift", label: "Lift" },
+];
+
+export default function Chemistry({ practices, roster, setSelectedPractice }) {
+  const [metric, setMetric] = useState("lift");
+  const [minReps, setMinReps] = useState(10);
+  const [focus, setFocus] = useState(null); // player whose row orders the matrix
+  const [sort, setSort] = useState({ key: "lift", dir: -1 });
+  const [selected, setSelected] = useState(null); // "a|b"
+
+  const pairs = useMemo(() => computeChemistry(practices), [practices]);
+  const shown = useMemo(() => pairs.filter((p) => p.reps >= minReps), [pairs, minReps]);
+
+  const byKey = useMemo(() => new Map(shown.map((p) => [pairKey(p.a, p.b), p])), [shown]);
+
+  const players = useMemo(() => {
+    const ids = new Set(shown.flatMap((p) => [p.a, p.b]));
+    const list = [...ids].sort((x, y) => playerName(roster, x).localeCompare(playerName(roster, y)));
+    if (!focus || !ids.has(focus)) return list;
+    const value = (id) => (id === focus ? Infinity : metricValue(byKey.get(pairKey(focus, id)), metric) ?? -Infinity);
+    return list.sort((x, y) => value(y) - value(x));
+  }, [shown, roster, focus, byKey, metric]);
+
+  const sorted = useMemo(() => {
+    const val = (p) => p[sort.key] ?? -Infinity;
+    return shown.slice().sort((x, y) => sort.dir * (val(x) - val(y)) || y.reps - x.reps);
+  }, [shown, sort]);
+
+  const maxReps = useMemo(() => shown.reduce((m, p) => Math.max(m, p.reps), 0), [shown]);
+  const pair = selected ? byKey.get(selected) : null;
+
+  function toggleSort(key) {
+    setSort((prev) => (prev.key === key ? { key, dir: -prev.dir } : { key, dir: -1 }));
+  }
+
+  if (pairs.length === 0) {
+    return <p style={{ color: "#555" }}>No players have shared a roster yet.</p>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 8, fontSize: 14 }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          Show
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} style={select}>
+            {METRICS.map((m) => (
+              <option key={m.key} value={m.key}>{m.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          Min reps together
+          <input
+            type="number"
+            min={0}
+            value={minReps}
+            onChange={(e) => setMinReps(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            style={{ ...select, width: 70 }}
+          />
+        </label>
+        <span style={{ color: "#555" }}>{shown.length} of {pairs.length} pairs</span>
+      </div>
+
+      {players.length === 0 ? (
+        <p style={{ color: "#555" }}>No pairs have {minReps} reps together. Lower the minimum.</p>
+      ) : (
+        <div style={{ overflowX: "auto", marginBottom: 16 }}>
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th />
+                {players.map((id) => (
+                  <th key={id} style={colHead} title={playerName(roster, id)}>
+                    <span style={{ writingMode: "vertical-rl", transform: "rotate(180deg)" }}>{playerName(roster, id)}</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {players.map((row) => (
+                <tr key={row}>
+                  <th
+                    onClick={() => setFocus(focus === row ? null : row)}
+                    style={{ ...rowHead, fontWeight: focus === row ? 700 : 500 }}
+                    title="Order the matrix by this player's pairings"
+                  >
+                    {playerName(roster, row)}
+                  </th>
+                  {players.map((col) => {
+                    if (row === col) return <td key={col} style={{ ...cell, background: "#f4f4f4" }} />;
+                    const key = pairKey(row, col);
+                    const p = byKey.get(key);
+                    if (!p) return <td key={col} style={cell} />;
+                    return (
+                      <td
+                        key={col}
+                        onClick={() => setSelected(key)}
+                        title={`${playerName(roster, row)} + ${playerName(roster, col)}: ${p.scored}/${p.reps} (${formatPct(p.pct)})`}
+                        style={{
+                          ...cell,
+                          cursor: "pointer",
+                          background: cellColor(p, metric, maxReps),
+                          outline: selected === key ? "2px solid #333" : undefined,
+                        }}
+                      >
+                        {formatCell(p, metric)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pair && (
+        <div style={panel}>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+            <strong>{playerName(roster, pair.a)} + {playerName(roster, pair.b)}</strong>
+            <button type="button" onClick={() => setSelected(null)} style={smallBtn} aria-label="Close">×</button>
+          </div>
+          <div style={{ color: "#555", fontSize: 14, margin: "4px 0 8px" }}>
+            Together {pair.scored}/{pair.reps} ({formatPct(pair.pct)}) · {playerName(roster, pair.a)} apart {formatRate(pair.apartA)} ·{" "}
+            {playerName(roster, pair.b)} apart {formatRate(pair.apartB)}
+          </div>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <TH>Date</TH>
+                <TH>Team</TH>
+                <TH>Scores</TH>
+                <TH>Reps</TH>
+                <TH>Rate</TH>
+              </tr>
+            </thead>
+            <tbody>
+              {pair.practices.map((s) => (
+                <tr className="row" key={`${s.date}-${s.team_id}`} onClick={() => setSelectedPractice(s.date)}>
+                  <TD>{s.date}</TD>
+                  <TD>{s.team_id}</TD>
+                  <TD>{s.scored}</TD>
+                  <TD>{s.reps}</TD>
+                  <TD><strong>{s.reps > 0 ? formatPct(s.scored / s.reps) : "—"}</strong></TD>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <TH>Pair</TH>
+              {COLUMNS.map((c) => (
+                <TH key={c.key} onClick={() => toggleSort(c.key)}>
+                  {c.label}{sort.key === c.key ? (sort.dir < 0 ? " ▼" : " ▲") : ""}
+                </TH>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((p) => {
+              const key = pairKey(p.a, p.b);
+              return (
+                <tr
+                  className="row"
+                  key={key}
+                  onClick={() => setSelected(key)}
+                  style={selected === key ? { background: "#e6f3ff" } : undefined}
+                >
+                  <TD>{playerName(roster, p.a)} + {playerName(roster, p.b)}</TD>
+                  <TD>{p.reps}</TD>
+                  <TD><strong>{formatPct(p.pct)}</strong></TD>
+                  <TD>{formatRate(p.apartA)}</TD>
+                  <TD>{formatRate(p.apartB)}</TD>
+                  <TD>{p.lift == null ? "—" : formatPP(p.lift)}</TD>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <p style={{ color: "#666", fontSize: 14 }}>
+        Lift is the pair's scoring rate together minus the average of their rates apart. Like Score %, it credits the whole team's
+        scoring to both players, so small samples mostly reflect who else was on the team.
+      </p>
+    </div>
+  );
+}
+
+// ---------- helpers ----------
+
+function pairKey(x, y) {
+  return x < y ? `${x}|${y}` : `${y}|${x}`;
+}
+
+function metricValue(p, metric) {
+  if (!p) return null;
+  return p[metric];
+}
+
+function formatCell(p, metric) {
+  if (metric === "reps") return p.reps;
+  if (metric === "pct") return Math.round(p.pct * 100);
+  if (p.lift == null) return "—";
+  const pp = Math.round(p.lift * 100);
+  return pp > 0 ? `+${pp}` : String(pp);
+}
+
+function formatRate(x) {
+  return x == null ? "—" : formatPct(x);
+}
+
+// Green for good pairings, red for bad; reps shade from white to blue
+function cellColor(p, metric, maxReps) {
+  if (metric === "reps") {
+    const a = maxReps > 0 ? p.reps / maxReps : 0;
+    return `rgba(122, 184, 255, ${0.15 + 0.6 * a})`;
+  }
+  const v = metric === "pct" ? (p.pct - 0.5) * 2 : p.lift == null ? 0 : p.lift * 5;
+  const a = Math.min(1, Math.abs(v)) * 0.6;
+  return v >= 0 ? `rgba(46, 139, 87, ${a})` : `rgba(220, 20, 60, ${a})`;
+}
+
+// ---------- styles ----------
+
+const select = {
+  padding: "4px 6px",
+  border: "1px solid #ddd",
+  borderRadius: 6,
+  fontSize: 14,
+};
+const smallBtn = {
+  border: "1px solid #ddd",
+  background: "#f8f8f8",
+  borderRadius: 6,
+  padding: "2px 8px",
+  fontSize: 12,
+  cursor: "pointer",
+};
+const panel = {
+  border: "1px solid #eee",
+  borderRadius: 8,
+  padding: 12,
+  marginBottom: 16,
+  background: "#fff",
+};
+const cell = {
+  border: "1px solid #eee",
+  minWidth: 28,
+  height: 24,
+  textAlign: "center",
+  padding: "2px 4px",
+};
+const colHead = {
+  padding: "4px 2px",
+  fontWeight: 500,
+  verticalAlign: "bottom",
+  whiteSpace: "nowrap",
+};
+const rowHead = {
+  textAlign: "right",
+  padding: "2px 8px",
+  whiteSpace: "nowrap",
+  cursor: "pointer",
+};
+
+function TH({ children, onClick }) {
+  return (
+    <th
+      onClick={onClick}
+      style={{ textAlign: "left", borderBottom: "2px solid #ddd", padding: "8px", fontWeight: 600, fontSize: 14, cursor: onClick ? "pointer" : undefined, whiteSpace: "nowrap" }}
+    >
+      {children}
+    </th>
+  );
+}
+function TD({ children }) {
+  return (
+    <td style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: "8px" }}>
+      {children}
+    </td>
+  );
+}
@@ -0,0 +1,432 @@
+import React, { useMemo } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import {
+  playerName,
+  aggregatePlayerStats,
+  computePlayerContributions,
+  computeCarryOverRatings,
+  computeRatingHistory,
+  computeChemistry,
+  toLeaderboard,
+  getPlayerRankings,
+  formatPct,
+  formatPP,
+} from "./rz9Utils";
+import { useSeasonPractices, parseCarryOver } from "./useSeasonPractices";
+import { ELO, getRatingModel, carryOverRatings, formatRating, formatSpread } from "./ratingModels";
+import { getDrill, drillPath } from "./drills";
+
+/**
+ * Compare — two to four players side by side
+ *
+ * Routes: /rz9/compare?players=a,b (latest season), /rz9/:season/compare?players=a,b,
+ * and the same under /drills/:drillId for other drills
+ *
+ * `players` holds roster ids. Shows each player's rank and rating (as on the
+ * Leaderboard, with its carry-over choice from ?carryOver= and its ?model=
+ * rating model), attendance, their Elo rating histories on one chart, their rates on the
+ * practices they shared, and how each pair did on the same team versus on
+ * opposite teams.
+ */
+
+export const MAX_COMPARE = 4;
+const COLORS = ["#1f6feb", "#d9480f", "#2f9e44", "#9c36b5"];
+
+export default function Compare() {
+  const { season: seasonParam, drillId } = useParams();
+  const drill = getDrill(drillId);
+  const { metrics } = drill;
+  const [searchParams, setSearchParams] = useSearchParams();
+  const model = getRatingModel(searchParams.get("model") ?? drill.rating.model);
+  const selected = useMemo(
+    () => (searchParams.get("players") || "").split(",").filter(Boolean).slice(0, MAX_COMPARE),
+    [searchParams]
+  );
+
+  const { seasonId, season, isAllTime, practices, prior, roster, loading, error } =
+    useSeasonPractices(drill, seasonParam, parseCarryOver(searchParams.get("carryOver")));
+
+  const ratingOptions = useMemo(() => ({ neutral: drill.rating.neutral }), [drill]);
+  // Elo ratings carried over (for the history chart), and the same on the model's scale
+  const initialRatings = useMemo(
+    () => (prior.length ? computeCarryOverRatings(prior, ratingOptions) : null),
+    [prior, ratingOptions]
+  );
+  const modelRatings = useMemo(() => {
+    if (model === ELO) return null;
+    const modelInitial = prior.length ? carryOverRatings(model, prior, ratingOptions) : null;
+    return model.rate(practices, { ...ratingOptions, initialRatings: modelInitial });
+  }, [model, prior, practices, ratingOptions]);
+  const playerMap = useMemo(() => aggregatePlayerStats(practices), [practices]);
+  const leaderboard = useMemo(
+    () => toLeaderboard(playerMap, computePlayerContributions(practices), { initialRatings, ratingOptions, ratings: modelRatings }),
+    [playerMap, practices, initialRatings, ratingOptions, modelRatings]
+  );
+  const rankings = useMemo(() => getPlayerRankings(leaderboard), [leaderboard]);
+  const rowByPlayer = useMemo(() => new Map(leaderboard.map((r) => [r.player, r])), [leaderboard]);
+
+  const histories = useMemo(
+    () =>
+      selected.map((id) =>
+        computeRatingHistory(playerMap.get(id)?.practices || [], { ...ratingOptions, initial: initialRatings?.get(id) })
+      ),
+    [selected, playerMap, initialRatings, ratingOptions]
+  );
+
+  const lines = useMemo(() => practiceLines(practices, selected), [practices, selected]);
+  const pairs = useMemo(() => comparePairs(practices, selected, lines), [practices, selected, lines]);
+
+  const sharedDates = useMemo(
+    () => practices.map((p) => p.date).filter((d) => selected.filter((id) => lines.get(id).has(d)).length >= 2),
+    [practices, selected, lines]
+  );
+
+  const candidates = leaderboard.map((r) => r.player).filter((id) => !selected.includes(id));
+
+  function setSelected(ids) {
+    const next = new URLSearchParams(searchParams);
+    if (ids.length) next.set("players", ids.join(","));
+    else next.delete("players");
+    setSearchParams(next, { replace: true });
+  }
+
+  const backLink = drillPath(drill, seasonParam) + (searchParams.has("model") ? `?model=${model.id}` : "");
+
+  return (
+    <div style={{ maxWidth: 900, margin: "40px auto", padding: "0 16px" }}>
+      <header style={{ marginBottom: 16 }}>
+        <h1 style={{ margin: 0 }}>Compare players · {drill.name}</h1>
+        <div style={{ color: "#555", marginTop: 4 }}>
+          Season: <strong>{isAllTime ? "All-time" : season?.name || seasonId || "—"}</strong> · Practices: <strong>{practices.length}</strong> ·{" "}
+          <Link to={backLink}>Back to leaderboard</Link>
+        </div>
+      </header>
+
+      {loading && <p>Loading practice data…</p>}
+      {error && <p style={{ color: "crimson" }}>{error}</p>}
+
+      {!loading && !error && (
+        <>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+            {selected.map((id, i) => (
+              <span key={id} style={{ ...chip, borderColor: COLORS[i] }}>
+                <span style={{ width: 10, height: 10, borderRadius: 9999, background: COLORS[i] }} />
+                {playerName(roster, id)}
+                <button type="button" aria-label="Remove" onClick={() => setSelected(selected.filter((x) => x !== id))} style={chipBtn}>×</button>
+              </span>
+            ))}
+            {selected.length < MAX_COMPARE && (
+              <select
+                aria-label="Add player"
+                value=""
+                onChange={(e) => e.target.value && setSelected([...selected, e.target.value])}
+                style={select}
+              >
+                <option value="">Add player…</option>
+                {candidates.map((id) => (
+                  <option key={id} value={id}>{playerName(roster, id)}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {selected.length < 2 && (
+            <p style={{ color: "#555" }}>Pick at least two players to compare, or check them on the leaderboard.</p>
+          )}
+
+          {selected.length >= 2 && (
+            <>
+              <section style={card}>
+                <table style={table}>
+                  <thead>
+                    <tr>
+                      <TH>Player</TH>
+                      <TH>Rank</TH>
+                      <TH>Rating</TH>
+                      <TH>{metrics.rateLabel}</TH>
+                      <TH>{metrics.attempts.label}</TH>
+                      <TH>Contribution</TH>
+                      <TH>Attendance</TH>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.map((id, i) => {
+                      const row = rowByPlayer.get(id);
+                      return (
+                        <tr key={id}>
+                          <TD><strong style={{ color: COLORS[i] }}>{playerName(roster, id)}</strong></TD>
+                          <TD>{rankings[id] ? `#${rankings[id]}` : "—"}</TD>
+                          <TD>{row ? <>{formatRating(model, row.rating)} <small style={{ color: "#888" }}>{formatSpread(model, row.rd)}</small></> : "—"}</TD>
+                          <TD>{row ? formatPct(row.pct) : "—"}</TD>
+                          <TD>{row ? row.reps : 0}</TD>
+                          <TD>{row ? formatPP(row.contribution) : "—"}</TD>
+                          <TD>{lines.get(id).size} / {practices.length}</TD>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </section>
+
+              <section style={card}>
+                <h2 style={h2}>Rating history{model !== ELO ? ` (${ELO.name})` : ""}</h2>
+                <CompareChart histories={histories} names={selected.map((id) => playerName(roster, id))} />
+              </section>
+
+              <section style={card}>
+                <h2 style={h2}>Shared practices</h2>
+                <p style={note}>Practices at least two of them attended. Highlighted rates were on the same team.</p>
+                {sharedDates.length === 0 ? (
+                  <p style={{ color: "#555", margin: 0 }}>These players have not attended the same practice.</p>
+                ) : (
+                  <table style={table}>
+                    <thead>
+                      <tr>
+                        <TH>Date</TH>
+                        {selected.map((id, i) => (
+                          <TH key={id}><span style={{ color: COLORS[i] }}>{playerName(roster, id)}</span></TH>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sharedDates.map((date) => {
+                        const teams = selected.map((id) => lines.get(id).get(date)?.team_id);
+                        return (
+                          <tr key={date}>
+                            <TD>{date}</TD>
+                            {selected.map((id, i) => {
+                              const line = lines.get(id).get(date);
+                              if (!line) return <TD key={id}>—</TD>;
+                              const shared = teams.some((t, j) => j !== i && t === line.team_id);
+                              return (
+                                <TD key={id}>
+                                  <span style={shared ? { background: "#e6f3ff", borderRadius: 4, padding: "1px 4px" } : undefined}>
+                                    {formatPct(line.reps > 0 ? line.scored / line.reps : 0)} <small style={{ color: "#888" }}>({line.team_id})</small>
+                                  </span>
+                                </TD>
+                              );
+                            })}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+
+              <section style={card}>
+                <h2 style={h2}>Together vs apart</h2>
+                <p style={note}>
+                  "Together" counts practices on the same team; "Opposed" counts practices both attended on different teams. Apart rates
+                  are each player's scoring rate without the other.
+                </p>
+                <table style={table}>
+                  <thead>
+                    <tr>
+                      <TH>Pair</TH>
+                      <TH>Together</TH>
+                      <TH>Rate together</TH>
+                      <TH>Opposed</TH>
+                      <TH>Apart</TH>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pairs.map((p) => (
+                      <tr key={`${p.a}|${p.b}`}>
+                        <TD>{playerName(roster, p.a)} + {playerName(roster, p.b)}</TD>
+                        <TD>{p.together}</TD>
+                        <TD>{p.reps > 0 ? <strong>{formatPct(p.pct)}</strong> : "—"}</TD>
+                        <TD>{p.opposed}</TD>
+                        <TD>
+                          {formatRate(p.apartA)} / {formatRate(p.apartB)}
+                        </TD>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * CompareChart — overlaid rating histories, one line per player, on a
+ * shared date axis.
+ */
+function CompareChart({ histories, names }) {
+  const W = 720;
+  const H = 240;
+  const PAD = { top: 16, right: 16, bottom: 32, left: 56 };
+
+  const dates = [...new Set(histories.flatMap((h) => h.map((e) => e.date)))].sort();
+  if (dates.length === 0) return <p style={{ color: "#555", margin: 0 }}>No practices yet.</p>;
+
+  const values = histories.flatMap((h) => h.flatMap((e) => [e.before, e.rating]));
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (hi - lo < 20) {
+    const mid = (hi + lo) / 2;
+    lo = mid - 10;
+    hi = mid + 10;
+  }
+
+  const innerW = W - PAD.left - PAD.right;
+  const innerH = H - PAD.top - PAD.bottom;
+  const index = new Map(dates.map((d, i) => [d, i]));
+  const x = (date) => PAD.left + (dates.length > 1 ? (index.get(date) / (dates.length - 1)) * innerW : innerW / 2);
+  const y = (R) => PAD.top + innerH - ((R - lo) / (hi - lo)) * innerH;
+  const labelEvery = Math.ceil(dates.length / 12);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", display: "block" }} role="img" aria-label="Rating histories">
+        <line x1={PAD.left} y1={PAD.top + innerH} x2={W - PAD.right} y2={PAD.top + innerH} stroke="#ddd" />
+        {[lo, (lo + hi) / 2, hi].map((t) => (
+          <g key={t}>
+            <line x1={PAD.left} y1={y(t)} x2={W - PAD.right} y2={y(t)} stroke="#f2f2f2" />
+            <text x={PAD.left - 6} y={y(t) + 4} textAnchor="end" fontSize={11} fill="#888">{Math.round(t)}</text>
+          </g>
+        ))}
+        {dates.map((d, i) =>
+          i % labelEvery === 0 ? (
+            <text key={d} x={x(d)} y={H - 10} textAnchor="middle" fontSize={10} fill="#888">{d.slice(5)}</text>
+          ) : null
+        )}
+        {histories.map((h, i) =>
+          h.length === 0 ? null : (
+            <g key={i}>
+              <path
+                d={h.map((e, k) => `${k === 0 ? "M" : "L"}${x(e.date)},${y(e.rating)}`).join(" ")}
+                fill="none"
+                stroke={COLORS[i]}
+                strokeWidth={2}
+              />
+              {h.map((e) => (
+                <circle key={e.date} cx={x(e.date)} cy={y(e.rating)} r={3} fill={COLORS[i]}>
+                  <title>{`${names[i]} · ${e.date} · R = ${Math.round(e.rating)}`}</title>
+                </circle>
+              ))}
+            </g>
+          )
+        )}
+      </svg>
+    </div>
+  );
+}
+
+// ---------- helpers ----------
+
+// Map(player -> Map(date -> { team_id, reps, scored })) for the selected players
+function practiceLines(practices, players) {
+  const lines = new Map(players.map((id) => [id, new Map()]));
+  for (const p of practices) {
+    if (!p || !p.teams || !p.results) continue;
+    for (const t of p.teams) {
+      const roster = Array.isArray(t.roster) ? t.roster : [];
+      for (const id of players) {
+        if (!roster.includes(id)) continue;
+        const line = { team_id: t.team_id, reps: 0, scored: 0 };
+        for (const r of p.results) {
+          if (r.team_id !== t.team_id) continue;
+          line.reps += Number(r.reps || 0);
+          line.scored += Number(r.scores || 0);
+        }
+        lines.get(id).set(p.date, line);
+      }
+    }
+  }
+  return lines;
+}
+
+// One row per pair of selected players, in selection order
+function comparePairs(practices, players, lines) {
+  const chemistry = new Map(computeChemistry(practices).map((c) => [`${c.a}|${c.b}`, c]));
+  const out = [];
+  for (let i = 0; i < players.length; i++) {
+    for (let j = i + 1; j < players.length; j++) {
+      const a = players[i];
+      const b = players[j];
+      const c = chemistry.get(a < b ? `${a}|${b}` : `${b}|${a}`);
+      let together = 0;
+      let opposed = 0;
+      for (const [date, line] of lines.get(a)) {
+        const other = lines.get(b).get(date);
+        if (!other) continue;
+        if (other.team_id === line.team_id) together++;
+        else opposed++;
+      }
+      // computeChemistry orders each pair by id; keep a/b in selection order
+      const flipped = c && c.a !== a;
+      out.push({
+        a,
+        b,
+        together,
+        opposed,
+        reps: c?.reps ?? 0,
+        pct: c?.pct ?? 0,
+        apartA: c ? (flipped ? c.apartB : c.apartA) : null,
+        apartB: c ? (flipped ? c.apartA : c.apartB) : null,
+      });
+    }
+  }
+  return out;
+}
+
+function formatRate(x) {
+  return x == null ? "—" : formatPct(x);
+}
+
+// ---------- styles ----------
+
+const card = {
+  border: "1px solid #eee",
+  borderRadius: 8,
+  padding: 16,
+  margin: "12px 0",
+  background: "#fff",
+  overflowX: "auto",
+};
+const h2 = { margin: "0 0 4px", fontSize: 20 };
+const note = { margin: "0 0 8px", color: "#666", fontSize: 14 };
+const table = { width: "100%", borderCollapse: "collapse" };
+const select = {
+  padding: "6px 8px",
+  border: "1px solid #ddd",
+  borderRadius: 6,
+  fontSize: 14,
+};
+const chip = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: 6,
+  border: "2px solid #ddd",
+  borderRadius: 9999,
+  padding: "4px 6px 4px 10px",
+  fontSize: 14,
+};
+const chipBtn = {
+  border: "none",
+  background: "transparent",
+  cursor: "pointer",
+  fontSize: 14,
+  padding: "0 4px",
+};
+
+function TH({ children }) {
+  return (
+    <th style={{ textAlign: "left", borderBottom: "2px solid #ddd", padding: "8px", fontWeight: 600, fontSize: 14 }}>
+      {children}
+    </th>
+  );
+}
+function TD({ children }) {
+  return (
+    <td style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: "8px" }}>
+      {children}
+    </td>
+  );
+}
@@ -1,26 +1,252 @@
+import { useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
 import { BlockMath } from "react-katex";
-import { NEUTRAL, INITIAL, MU, HALF_LIFE, WIDTH, STEP } from "./rz9Utils.js";
+import { NEUTRAL, MU, HALF_LIFE, WIDTH, STEP, RIDGE, ABSENCE_GRACE, ABSENCE_PULL, RD_INITIAL, RD_REP, RD_GROWTH, CONSERVATIVE_Z, toLeaderboard, playerName, EMPTY_ROSTER } from "./rz9Utils.js";
+import { ELO } from "./ratingModels";
 import "katex/dist/katex.min.css";
 
-export default function Explanation() {
+// Playground parameters: URL key, computePlayerRating option, input range.
+// ν defaults to the drill's own (see paramDefaults).
+const PARAMS = [
+  { key: "H", option: "halfLifeDays", label: "H (half-life, days)", value: HALF_LIFE, min: 0, max: 120, step: 1 },
+  { key: "K", option: "K", label: "K (step size)", value: STEP, min: 0, max: 1000, step: 10 },
+  { key: "mu", option: "mu", label: "μ (default rating)", value: MU, min: 0, max: 2000, step: 10 },
+  { key: "W", option: "width", label: "W (rating width)", value: WIDTH, min: 500, max: 50000, step: 500 },
+  { key: "nu", option: "neutral", label: "ν (neutral score rate)", value: NEUTRAL, min: 0.05, max: 0.95, step: 0.005 },
+];
+
+/**
+ * Explanation — the rating math, plus a playground that re-ranks the
+ * leaderboard with user-chosen parameters.
+ *
+ * Props (the playground is hidden without playerMap):
+ * - playerMap: from aggregatePlayerStats
+ * - contributions, initialRatings: as passed to toLeaderboard
+ * - baseline: the leaderboard rows computed with the default parameters
+ * - roster: registry from buildRoster, for display names
+ * - ratingOptions: options the leaderboard was computed with besides the
+ *   playground parameters (e.g. `today` when rewound, `attendance`)
+ * - model: the active rating model (ratingModels.js); any model but the
+ *   decayed Elo shows its own math instead of the Elo section and playground
+ *
+ * Playground values live in the URL query (?H=…&K=…&mu=…&W=…&nu=…) so a
+ * configuration can be shared as a link.
+ */
+export default function Explanation({ playerMap, contributions, initialRatings, baseline = [], roster = EMPTY_ROSTER, ratingOptions: baseOptions, model = ELO }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const defaults = useMemo(() => paramDefaults(baseOptions), [baseOptions]);
+  const values = useMemo(() => readParams(searchParams, defaults), [searchParams, defaults]);
+  const changed = PARAMS.some((p) => values[p.key] !== defaults[p.key]);
+
+  const ratingOptions = useMemo(() => {
+    const out = { ...baseOptions };
+    for (const p of PARAMS) out[p.option] = values[p.key];
+    out.initial = values.mu; // R₀ = μ for players without a carried-over rating
+    return out;
+  }, [values, baseOptions]);
+
+  const playground = useMemo(
+    () => (playerMap ? toLeaderboard(playerMap, contributions, { initialRatings, ratingOptions }) : []),
+    [playerMap, contributions, initialRatings, ratingOptions]
+  );
+
+  const defaultRank = useMemo(() => {
+    const m = new Map();
+    baseline.forEach((r, i) => m.set(r.player, i + 1));
+    return m;
+  }, [baseline]);
+
+  function setParam(key, value) {
+    const next = new URLSearchParams(searchParams);
+    if (value === defaults[key]) next.delete(key);
+    else next.set(key, String(value));
+    setSearchParams(next, { replace: true });
+  }
+
+  function resetParams() {
+    const next = new URLSearchParams(searchParams);
+    for (const p of PARAMS) next.delete(p.key);
+    setSearchParams(next, { replace: true });
+  }
+
   return (
     <div style={{ maxWidth: 900, margin: "24px auto", lineHeight: 1.6 }}>
       <h2 style={{ marginTop: 0 }}>Rating Details</h2>
 
-      <p><strong>Parameters:</strong> H (half-life, days), K (step size), μ (default rating), W (rating width), ν (neutral score rate).</p>
-      <p><strong>Default values:</strong> H = {HALF_LIFE}, K = {STEP}, μ = {MU}, W = {WIDTH}, ν = {NEUTRAL}</p>
+      {model !== ELO ? (
+        <>
+          <h3>{model.name}</h3>
+          {model.explain(baseOptions).map((block, i) =>
+            block.math ? <BlockMath key={i} math={block.math} /> : <p key={i}>{block.text}</p>
+          )}
+          <p><em>Leaderboard:</em> sort by <strong>Rating</strong> (desc). Defensive ratings and the player replay still use the decayed Elo; switch the model back to see its math and the parameter playground.</p>
+        </>
+      ) : (
+        <>
+          <p><strong>Parameters:</strong> H (half-life, days), K (step size), μ (default rating), W (rating width), ν (neutral score rate).</p>
+          <p><strong>Default values:</strong> H = {HALF_LIFE}, K = {STEP}, μ = {MU}, W = {WIDTH}, ν = {defaults.nu}</p>
+
+          <p>Let a player have practices i = 1,…,n with scoring rates r<sub>i</sub> ∈ [0,1]</p>
+
+          <BlockMath math={`\\quad w_i = 2^{-\\text{age}_i / H}, \\text{where } age_i \\text{ is the age of practice i in days.}`} />
+
+          <BlockMath math={`\\beta = \\log_{10}\\!\\left(\\frac{\\nu}{1-\\nu}\\right),\\quad E(R) = \\frac{1}{1 + 10^{-\\left(\\frac{R-\\mu}{W} + \\beta\\right)}}.`} />
+
+          <BlockMath math={`R_0 = \\mu,\\quad R_i = R_{i-1} + K\\, w_i \\,\\big(r_i - E(R_{i-1})\\big),\\quad i=1,\\dots,n.`} />
+
+          <BlockMath math={`\\text{Rating} = R_n.`} />
+
+          <p><em>Leaderboard:</em> sort by <strong>Rating</strong> (desc). Tiebreak by total score rate.</p>
+
+          <p><strong>Defensive rating</strong> uses the same update on the practices where the player's team defended, with r<sub>i</sub> replaced by the stop rate 1 − a<sub>i</sub> (a<sub>i</sub> = scoring rate allowed) and ν replaced by 1 − ν.</p>
+
+          <p><strong>Long absences</strong> (optional): when a player misses n practices in a row, n &gt; G = {ABSENCE_GRACE}, their rating is first pulled back toward μ by a fraction p = {ABSENCE_PULL} for every practice past G, including the ones missed since they last played.</p>
+
+          <BlockMath math={`R \\leftarrow \\mu + (R - \\mu)\\,(1 - p)^{\\,n - G}`} />
+
+          <p><strong>Uncertainty:</strong> each rating carries a rating deviation RD, Glicko-style. It starts at σ<sub>0</sub> = {RD_INITIAL}, grows by c = {RD_GROWTH} per √day between practices (back up to σ<sub>0</sub>) and shrinks with the n<sub>i</sub> reps of every practice, each rep worth σ = {RD_REP}:</p>
+
+          <BlockMath math={`\\mathrm{RD} \\leftarrow \\min\\!\\big(\\sigma_0,\\ \\sqrt{\\mathrm{RD}^2 + c^2\\, \\Delta t}\\big),\\qquad \\frac{1}{\\mathrm{RD}^2} \\leftarrow \\frac{1}{\\mathrm{RD}^2} + \\frac{n_i}{\\sigma^2}`} />
 
-      <p>Let a player have practices i = 1,…,n with scoring rates r<sub>i</sub> ∈ [0,1]</p>
+          <p>The leaderboard shows R ± {CONSERVATIVE_Z}·RD (about a 95% interval). Ranking by the conservative estimate R − {CONSERVATIVE_Z}·RD keeps small samples off the podium.</p>
+        </>
+      )}
 
-      <BlockMath math={`\\quad w_i = 2^{-\\text{age}_i / H}, \\text{where } age_i \\text{ is the age of practice i in days.}`} />
+      <h3>Individual Contribution</h3>
 
-      <BlockMath math={`\\beta = \\log_{10}\\!\\left(\\frac{\\nu}{1-\\nu}\\right),\\quad E(R) = \\frac{1}{1 + 10^{-\\left(\\frac{R-\\mu}{W} + \\beta\\right)}}.`} />
+      <p>Every team result t (rate r<sub>t</sub> over n<sub>t</sub> reps) is modeled as the league rate r̄ plus the sum of the effects of the players on that roster. All effects are fit at once with ridge regularization λ = {RIDGE} (in reps), so a player's number is what remains after their teammates are accounted for.</p>
 
-      <BlockMath math={`R_0 = \\mu,\\quad R_i = R_{i-1} + K\\, w_i \\,\\big(r_i - E(R_{i-1})\\big),\\quad i=1,\\dots,n.`} />
+      <BlockMath math={`\\hat\\beta = \\arg\\min_{\\beta} \\sum_t n_t \\Big(r_t - \\bar r - \\sum_{j \\in t} \\beta_j\\Big)^2 + \\lambda \\sum_j \\beta_j^2`} />
 
-      <BlockMath math={`\\text{Rating} = R_n.`} />
+      <p><strong>Contribution</strong> = β<sub>j</sub>, shown in percentage points of team scoring rate.</p>
 
-      <p><em>Leaderboard:</em> sort by <strong>Rating</strong> (desc). Tiebreak by total score rate.</p>
+      {playerMap && model === ELO && (
+        <>
+          <h3>Parameter Playground</h3>
+
+          <p>Change the parameters to re-rank everyone live. The link in the address bar keeps these values.</p>
+
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))", gap: 12 }}>
+            {PARAMS.map((p) => (
+              <label key={p.key} style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 14 }}>
+                <span>{p.label}</span>
+                <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  <input
+                    type="range"
+                    min={p.min}
+                    max={p.max}
+                    step={p.step}
+                    value={values[p.key]}
+                    onChange={(e) => setParam(p.key, Number(e.target.value))}
+                    style={{ flex: 1 }}
+                  />
+                  <input
+                    type="number"
+                    min={p.min}
+                    max={p.max}
+                    step={p.step}
+                    value={values[p.key]}
+                    onChange={(e) => {
+                      const v = Number(e.target.value);
+                      if (Number.isFinite(v)) setParam(p.key, clamp(v, p));
+                    }}
+                    aria-label={p.label}
+                    style={{ width: 90, padding: "4px 6px", border: "1px solid #ddd", borderRadius: 6 }}
+                  />
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <div style={{ margin: "8px 0" }}>
+            <button type="button" onClick={resetParams} disabled={!changed} style={resetBtn}>Reset to defaults</button>
+          </div>
+
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <TH>#</TH>
+                  <TH>Player</TH>
+                  <TH>Rating</TH>
+                  <TH>Default #</TH>
+                  <TH>Change</TH>
+                </tr>
+              </thead>
+              <tbody>
+                {playground.map((row, idx) => {
+                  const before = defaultRank.get(row.player);
+                  const move = before != null ? before - (idx + 1) : 0;
+                  return (
+                    <tr key={row.player}>
+                      <TD>{idx + 1}</TD>
+                      <TD>{playerName(roster, row.player)}</TD>
+                      <TD>{Math.round(row.rating)}</TD>
+                      <TD>{before ?? "—"}</TD>
+                      <TD>
+                        <span style={{ color: move > 0 ? "seagreen" : move < 0 ? "crimson" : "#888" }}>
+                          {move > 0 ? `▲ ${move}` : move < 0 ? `▼ ${-move}` : "–"}
+                        </span>
+                      </TD>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
     </div>
   );
 }
+
+// ---------- helpers ----------
+
+// Default value per URL key; ν is the one the leaderboard was computed with
+function paramDefaults(baseOptions) {
+  const out = {};
+  for (const p of PARAMS) out[p.key] = p.value;
+  out.nu = baseOptions?.neutral ?? NEUTRAL;
+  return out;
+}
+
+function readParams(searchParams, defaults) {
+  const out = {};
+  for (const p of PARAMS) {
+    const raw = searchParams.get(p.key);
+    const v = raw == null || raw === "" ? NaN : Number(raw);
+    out[p.key] = Number.isFinite(v) ? clamp(v, p) : defaults[p.key];
+  }
+  return out;
+}
+
+function clamp(v, { min, max }) {
+  return Math.min(max, Math.max(min, v));
+}
+
+// ---------- styles ----------
+
+const resetBtn = {
+  border: "1px solid #ddd",
+  background: "#f8f8f8",
+  borderRadius: 6,
+  padding: "4px 10px",
+  fontSize: 13,
+  cursor: "pointer",
+};
+
+function TH({ children }) {
+  return (
+    <th style={{ textAlign: "left", borderBottom: "2px solid #ddd", padding: "6px 8px", fontWeight: 600, fontSize: 14 }}>
+      {children}
+    </th>
+  );
+}
+function TD({ children }) {
+  return (
+    <td style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: "6px 8px" }}>
+      {children}
+    </td>
+  );
+}
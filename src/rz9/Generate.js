@@ -1,21 +1,49 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { PLAYERS } from "./rz9Utils";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
+import { fetchRoster, fetchSeasons, aggregatePlayerStats, toLeaderboard, repTotals, playerName, EMPTY_ROSTER, STAT_KEYS } from "./rz9Utils";
+import ValidationPanel from "./ValidationPanel";
+import { validatePractice } from "./validatePractice";
+import { getDataSource, loadSeasonPractices, savePractice } from "./dataSource";
+import TeamBalancer from "./TeamBalancer";
+import { downloadBlob, tableToPractice } from "./csvUtils";
+import LiveEntry from "./LiveEntry";
+import { loadDraft, saveDraft, clearDraft, loadQueue, queuePractice, removeQueued, flushQueue } from "./offlineStore";
+import { getDrill, toDrillPractice } from "./drills";
 
 /**
- * Generate.js — Build a per-practice JSON for Red Zone 9s
+ * Generate.js — Build a per-practice JSON for a drill (Red Zone 9s by default)
  *
  * What it does
+ * - Optionally propose balanced teams from attendance and current ratings
+ * - Or paste a spreadsheet (team, players, reps, scores[, defended by])
  * - Choose number of teams
  * - For each team: pick players (multi-select), enter reps & scores
+ * - Optionally pick the team that defended those reps; a team that faced
+ *   several defenses gets one matchup (defender, reps, scores) per opponent
+ * - Optionally enter each player's goals, assists, throwaways and drops
+ * - Or log reps one at a time in live entry mode (score / turnover / drop,
+ *   scorer and assist); logged teams' reps and scores come from that log, as
+ *   one result against their first matchup's defender
  * - Shows the resulting JSON so you can copy/paste into a file
+ * - Validates the draft live and lists any problems above the JSON
+ * - Saves the practice straight to Firestore (see dataSource.js)
+ * - Keeps the draft in local storage, so a reload doesn't lose it
+ * - Offline (or any time), queues finished practices; the queue uploads when
+ *   the connection comes back, or each one can be downloaded as JSON
  *
  * Assumptions
- * - Players are hardcoded below in the PLAYERS array. Edit to match your roster.
+ * - Players come from public/roster.json; rosters are written as player ids.
+ *   Inactive players are hidden unless "Show inactive" is checked.
  * - We auto-assign team_id letters: A, B, C, ...
+ * - The practice belongs to the season in the URL (/rz9/:season/generate),
+ *   or the latest season in seasons.json.
+ * - The drill comes from the URL too (/drills/:drillId/generate); its metrics
+ *   name the result fields and their labels (drills.js).
  */
 
 
 const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+const STAT_LABELS = { goals: "Goals", assists: "Assists", throwaways: "Throwaways", drops: "Drops" };
 
 function todayISO() {
   const d = new Date();
@@ -25,20 +53,190 @@ function todayISO() {
 }
 
 export default function Generate() {
-  const [date, setDate] = useState(todayISO());
-  const [teamCount, setTeamCount] = useState(2);
-  const [teams, setTeams] = useState(() => initTeams(2));
+  const { season: seasonParam, drillId } = useParams();
+  const drill = getDrill(drillId);
+  const { metrics } = drill;
+  const [latestSeason, setLatestSeason] = useState(null);
+  const [draft] = useState(() => migrateDraft(loadDraft(drill.id))); // restored once, on first render
+  const [date, setDate] = useState(() => draft?.date ?? todayISO());
+  const [teamCount, setTeamCount] = useState(() => draft?.teamCount ?? 2);
+  const [teams, setTeams] = useState(() => draft?.teams ?? initTeams(2));
+  const [roster, setRoster] = useState(EMPTY_ROSTER);
+  const [rosterError, setRosterError] = useState(null);
+  const [rosterReady, setRosterReady] = useState(false); // roster.json loaded or failed
+  const [showInactive, setShowInactive] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(null); // { kind: "saving" | "saved" | "error", message }
+  const [pasted, setPasted] = useState("");
+  const [importProblems, setImportProblems] = useState([]);
+  const [liveMode, setLiveMode] = useState(false);
+  const [repLog, setRepLog] = useState(() => draft?.repLog ?? []); // [{ team, outcome, scorer, assist }], team = index
+  const [queue, setQueue] = useState(loadQueue);
+  const [queueStatus, setQueueStatus] = useState(null); // { kind: "saving" | "saved" | "error", message }
+  const [restored, setRestored] = useState(() => Boolean(draft && hasEntries(draft)));
+  const online = useOnline();
+
+  // Autosave the draft on every edit
+  useEffect(() => {
+    saveDraft({ date, teamCount, teams, repLog, savedAt: new Date().toISOString() }, drill.id);
+  }, [date, teamCount, teams, repLog, drill]);
+
+  function startOver() {
+    if (!window.confirm("Clear this practice and start over?")) return;
+    clearDraft(drill.id);
+    setDate(todayISO());
+    setTeamCount(2);
+    setTeams(initTeams(2));
+    setRepLog([]);
+    setSaveStatus(null);
+    setRestored(false);
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchRoster()
+      .then((r) => { if (!cancelled) setRoster(r); })
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setRosterError("Failed to load roster.json.");
+      })
+      .finally(() => { if (!cancelled) setRosterReady(true); });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (seasonParam) return;
+    let cancelled = false;
+    fetchSeasons(drill.dataPath)
+      .then((list) => { if (!cancelled) setLatestSeason(Array.isArray(list) ? list[list.length - 1]?.id ?? null : null); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [seasonParam, drill]);
+
+  const season = seasonParam || latestSeason;
+
+  // Current ratings for the team balancer, loaded once the roster is in so
+  // the season isn't read twice
+  const [ratings, setRatings] = useState(() => new Map());
+  useEffect(() => {
+    if (!season || !rosterReady) return;
+    let cancelled = false;
+    loadSeasonPractices(getDataSource(undefined, drill), season, roster)
+      .then(({ practices }) => {
+        if (cancelled) return;
+        const rows = toLeaderboard(aggregatePlayerStats(practices), undefined, { ratingOptions: { neutral: drill.rating.neutral } });
+        setRatings(new Map(rows.map((r) => [r.player, r.rating])));
+      })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [season, roster, rosterReady, drill]);
+
+  function applyBalancedTeams(rosters) {
+    setRepLog([]);
+    setTeamCount(rosters.length);
+    setTeams(rosters.map((r) => newTeam(r)));
+  }
+
+  // Spreadsheet rows replace the teams; sheet team labels become A, B, C… in
+  // order of first appearance, and each row is one matchup
+  function importPasted() {
+    const { practice, problems } = tableToPractice(pasted, { date, roster });
+    setImportProblems(problems);
+    if (practice.teams.length === 0) return;
+    setRepLog([]);
+    const labels = practice.teams.map((t) => t.team_id);
+    setTeamCount(practice.teams.length);
+    setTeams(
+      practice.teams.map((t, i) => {
+        const matchups = practice.results
+          .filter((r) => r.team_id === t.team_id)
+          .map((r) => {
+            const defender = labels.indexOf(r.defending_team_id);
+            return { defender: defender >= 0 && defender !== i ? defender : null, reps: r.reps, scores: r.scores };
+          });
+        return { ...newTeam(t.roster), matchups: matchups.length ? matchups : [newMatchup()] };
+      })
+    );
+  }
 
   // Keep teams array in sync with teamCount
   useEffect(() => {
     setTeams((prev) => resizeTeams(prev, teamCount));
+    setRepLog((prev) => (prev.some((r) => r.team >= teamCount) ? prev.filter((r) => r.team < teamCount) : prev));
   }, [teamCount]);
 
-  const practiceJson = useMemo(() => buildJson(date, teams), [date, teams]);
+  // Teams with logged reps take their totals from the log, as a single matchup
+  const logTotals = useMemo(() => repTotals(repLog.map((r) => ({ ...r, team_id: r.team }))), [repLog]);
+  const effectiveTeams = useMemo(
+    () => teams.map((t, i) => (logTotals.has(i) ? { ...t, matchups: [{ ...t.matchups[0], ...logTotals.get(i) }] } : t)),
+    [teams, logTotals]
+  );
+
+  const practiceJson = useMemo(
+    () => toDrillPractice(buildJson(date, effectiveTeams, repLog), drill),
+    [date, effectiveTeams, repLog, drill]
+  );
+  const issues = useMemo(
+    () => validatePractice(practiceJson, { file: `${date || "YYYY-MM-DD"}.json`, roster: roster.players.length ? roster : null, metrics }),
+    [practiceJson, date, roster, metrics]
+  );
+
+  async function handleSave() {
+    setSaveStatus({ kind: "saving", message: "Saving…" });
+    try {
+      await savePractice(practiceJson, season, drill);
+      setSaveStatus({ kind: "saved", message: `Saved ${practiceJson.date} to Firestore (season ${season}).` });
+    } catch (e) {
+      console.error(e);
+      setSaveStatus({ kind: "error", message: `Save failed: ${e.message}` });
+    }
+  }
+
+  function handleQueue() {
+    setQueue(queuePractice(practiceJson, season, drill.id));
+    setQueueStatus({ kind: "saved", message: `Queued ${practiceJson.date} (season ${season}).` });
+  }
+
+  // Reads the queue from storage, so it only needs the state setters
+  const uploadQueued = useCallback(async () => {
+    setQueueStatus({ kind: "saving", message: "Uploading…" });
+    const { uploaded, failed, queue: left } = await flushQueue(uploadPractice);
+    setQueue(left);
+    setQueueStatus(
+      failed.length
+        ? { kind: "error", message: `Uploaded ${uploaded.length}; ${failed.length} failed (${failed[0].message}).` }
+        : { kind: "saved", message: `Uploaded ${uploaded.length} practice${uploaded.length === 1 ? "" : "s"}.` }
+    );
+  }, []);
+
+  // Upload whatever is waiting once the connection comes back (or a practice
+  // is queued while online)
+  const hasQueue = queue.length > 0;
+  useEffect(() => {
+    if (online && hasQueue) uploadQueued();
+  }, [online, hasQueue, uploadQueued]);
+
+  // Players offered as chips: active ones, plus anyone already picked
+  const picked = useMemo(() => new Set(teams.flatMap((t) => t.roster)), [teams]);
+  const choices = useMemo(
+    () => roster.players.filter((p) => showInactive || p.active !== false || picked.has(p.id)),
+    [roster, showInactive, picked]
+  );
 
   return (
     <div style={{ maxWidth: 900, margin: "40px auto", padding: "0 16px" }}>
-      <h1 style={{ marginTop: 0 }}>Generate RZ9 JSON</h1>
+      <h1 style={{ marginTop: 0 }}>Generate {drill.name} JSON{season ? ` · ${season}` : ""}</h1>
+      {!online && (
+        <p style={offlineNote}>
+          You're offline. Keep entering stats — the draft is saved on this device. Queue the practice when it's done and it
+          uploads once you're back online.
+        </p>
+      )}
+      {restored && (
+        <p style={{ color: "#555", fontSize: 14 }}>
+          Restored an unsaved draft{draft.savedAt ? ` from ${new Date(draft.savedAt).toLocaleString()}` : ""}.{" "}
+          <button type="button" onClick={startOver} style={linkBtn}>Start over</button>
+        </p>
+      )}
 
       {/* Date */}
       <section style={card}>
@@ -51,6 +249,60 @@ export default function Generate() {
         />
       </section>
 
+      {/* Balanced teams */}
+      <section style={card}>
+        <h2 style={{ margin: "0 0 8px" }}>Balanced Teams</h2>
+        <TeamBalancer roster={roster} ratings={ratings} neutral={drill.rating.neutral} onApply={applyBalancedTeams} />
+      </section>
+
+      {/* Spreadsheet import */}
+      <section style={card}>
+        <h2 style={{ margin: "0 0 4px" }}>Paste from Spreadsheet</h2>
+        <p style={{ margin: "0 0 8px", color: "#666", fontSize: 14 }}>
+          One team per row: team, players (separated by ; or ,), {metrics.attempts.label.toLowerCase()},{" "}
+          {metrics.successes.label.toLowerCase()}, and optionally the team that defended. Copy cells
+          straight from a sheet or paste CSV. This replaces the teams below.
+        </p>
+        <textarea
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          rows={5}
+          placeholder={`Team\tPlayers\t${metrics.attempts.label}\t${metrics.successes.label}\nA\tSam G.; Neal Zeng; …\t10\t7`}
+          aria-label="Spreadsheet rows"
+          style={{ ...input, width: "100%", boxSizing: "border-box", fontFamily: "monospace" }}
+        />
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 8 }}>
+          <button type="button" onClick={importPasted} disabled={!pasted.trim()} style={button}>Import rows</button>
+          {importProblems.length > 0 && (
+            <small style={{ color: "crimson" }}>Skipped: {importProblems.join("; ")}</small>
+          )}
+        </div>
+      </section>
+
+      {/* Live rep entry */}
+      <section style={card}>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+          <h2 style={{ margin: 0 }}>Live Entry</h2>
+          <button type="button" onClick={() => setLiveMode((v) => !v)} aria-pressed={liveMode} style={button}>
+            {liveMode ? "Hide" : "Log reps one at a time"}
+          </button>
+        </div>
+        {liveMode && (
+          <div style={{ marginTop: 12 }}>
+            <LiveEntry
+              teams={teams}
+              teamIds={teams.map((_, i) => teamIdFor(i))}
+              roster={roster}
+              log={repLog}
+              onChange={setRepLog}
+            />
+          </div>
+        )}
+        {!liveMode && repLog.length > 0 && (
+          <p style={{ margin: "8px 0 0", color: "#555", fontSize: 14 }}>{repLog.length} reps logged.</p>
+        )}
+      </section>
+
       {/* Team count */}
       <section style={card}>
         <label style={label}>Number of Teams</label>
@@ -67,14 +319,24 @@ export default function Generate() {
 
       {/* Teams editor */}
       <section style={{ ...card, paddingTop: 8 }}>
+        {rosterError && <p style={{ color: "crimson" }}>{rosterError}</p>}
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 14, color: "#555" }}>
+          <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+          Show inactive
+        </label>
         {teams.map((t, idx) => (
           <TeamEditor
             key={idx}
             index={idx}
-            data={t}
+            data={effectiveTeams[idx]}
+            fromLog={logTotals.has(idx)}
+            players={choices}
+            roster={roster}
+            metrics={metrics}
+            teamCount={teams.length}
             onRosterChange={(roster) => updateTeam(idx, { roster }, setTeams)}
-            onRepsChange={(reps) => updateTeam(idx, { reps }, setTeams)}
-            onScoresChange={(scores) => updateTeam(idx, { scores }, setTeams)}
+            onMatchupsChange={(matchups) => updateTeam(idx, { matchups }, setTeams)}
+            onStatsChange={(stats) => updateTeam(idx, { stats }, setTeams)}
           />
         ))}
       </section>
@@ -83,24 +345,93 @@ export default function Generate() {
       <section style={card}>
         <div style={{ display: "flex", alignItems: "baseline", gap: 12 }}>
           <h2 style={{ margin: 0 }}>JSON Output</h2>
-          <small style={{ color: "#666" }}>(copy and paste into a file named <code>{date || "YYYY-MM-DD"}.json</code>)</small>
+          <small style={{ color: "#666" }}>(copy and paste into <code>public/{drill.dataPath}/{season || "<season>"}/{date || "YYYY-MM-DD"}.json</code> and add it to that folder's <code>manifest.json</code>)</small>
+        </div>
+        <ValidationPanel issues={issues} title="Fix before copying" />
+        <div style={{ display: "flex", alignItems: "center", gap: 12, margin: "8px 0" }}>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={issues.length > 0 || !season || !online || saveStatus?.kind === "saving"}
+            style={button}
+          >
+            Save to Firestore
+          </button>
+          <button type="button" onClick={handleQueue} disabled={issues.length > 0 || !season} style={button}>
+            Queue for upload
+          </button>
+          <button type="button" onClick={startOver} style={linkBtn}>Start over</button>
+          {saveStatus && (
+            <small style={{ color: saveStatus.kind === "error" ? "crimson" : "#555" }}>{saveStatus.message}</small>
+          )}
         </div>
         <pre style={pre}>{JSON.stringify(practiceJson, null, 2)}</pre>
       </section>
+
+      {/* Upload queue */}
+      {hasQueue && (
+        <section style={card}>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+            <h2 style={{ margin: 0 }}>Upload Queue</h2>
+            <button
+              type="button"
+              onClick={uploadQueued}
+              disabled={!online || queueStatus?.kind === "saving"}
+              style={button}
+            >
+              Upload all
+            </button>
+          </div>
+          <p style={{ margin: "4px 0 8px", color: "#666", fontSize: 14 }}>
+            Saved on this device until uploaded{online ? "" : " — waiting for a connection"}. Download a practice to add it to{" "}
+            <code>public/{drill.dataPath}</code> by hand instead.
+          </p>
+          {queueStatus && (
+            <small style={{ color: queueStatus.kind === "error" ? "crimson" : "#555" }}>{queueStatus.message}</small>
+          )}
+          <ul style={{ listStyle: "none", padding: 0, margin: "8px 0 0" }}>
+            {queue.map((item) => (
+              <li key={item.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "6px 0", borderTop: "1px solid #eee" }}>
+                <span style={{ flex: 1 }}>
+                  <strong>{item.practice.date}</strong>
+                  {item.drill && item.drill !== drill.id ? ` · ${getDrill(item.drill)?.name ?? item.drill}` : ""} · season {item.season} ·{" "}
+                  {item.practice.teams.length} teams
+                </span>
+                <button type="button" onClick={() => downloadPractice(item.practice)} style={linkBtn}>Download JSON</button>
+                <button type="button" onClick={() => setQueue(removeQueued(item.id))} style={{ ...linkBtn, color: "crimson" }}>
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
     </div>
   );
 }
 
-function TeamEditor({ index, data, onRosterChange, onRepsChange, onScoresChange }) {
-  const teamId = LETTERS[index] || `T${index + 1}`;
+function TeamEditor({ index, data, fromLog, players, roster, metrics, teamCount, onRosterChange, onMatchupsChange, onStatsChange }) {
+  const teamId = teamIdFor(index);
+  const [showStats, setShowStats] = useState(false);
+  const stats = data.stats || {};
+  const { matchups } = data;
+
+  function setMatchup(i, patch) {
+    onMatchupsChange(matchups.map((m, j) => (j === i ? { ...m, ...patch } : m)));
+  }
+
+  function setStat(player, key, value) {
+    onStatsChange({ ...stats, [player]: { ...stats[player], [key]: value } });
+  }
 
   function toggleRoster(player) {
     const exists = data.roster.includes(player);
     const next = exists
       ? data.roster.filter((p) => p !== player)
       : [...data.roster, player];
-    // keep order consistent with PLAYERS list
-    const ordered = next.slice().sort((a, b) => PLAYERS.indexOf(a) - PLAYERS.indexOf(b));
+    // keep order consistent with the roster list
+    const order = players.map((p) => p.id);
+    const ordered = next.slice().sort((a, b) => order.indexOf(a) - order.indexOf(b));
     onRosterChange(ordered);
   }
 
@@ -108,48 +439,117 @@ function TeamEditor({ index, data, onRosterChange, onRepsChange, onScoresChange
 
   return (
     <div style={{ borderBottom: "1px solid #eee", padding: "12px 0" }}>
-      <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8 }}>
-        <div style={{ fontWeight: 700, minWidth: 28 }}>Team {teamId}</div>
-        <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
-          <label style={labelCol}>
-            <span>Reps</span>
-            <input
-              type="number"
-              min={0}
-              value={data.reps}
-              onChange={(e) => onRepsChange(safeInt(e.target.value))}
-              style={input}
-            />
-          </label>
-          <label style={labelCol}>
-            <span>Scores</span>
-            <input
-              type="number"
-              min={0}
-              value={data.scores}
-              onChange={(e) => onScoresChange(safeInt(e.target.value))}
-              style={input}
-            />
-          </label>
+      {matchups.map((m, i) => (
+        <div key={i} style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8 }}>
+          <div style={{ fontWeight: 700, minWidth: 28 }}>{i === 0 ? `Team ${teamId}` : ""}</div>
+          <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end" }}>
+            <label style={labelCol}>
+              <span>{metrics.attempts.label}{fromLog && <small style={{ color: "#888" }}> (from rep log)</small>}</span>
+              <input
+                type="number"
+                min={0}
+                value={m.reps}
+                readOnly={fromLog}
+                onChange={(e) => setMatchup(i, { reps: safeInt(e.target.value) })}
+                style={input}
+              />
+            </label>
+            <label style={labelCol}>
+              <span>{metrics.successes.label}</span>
+              <input
+                type="number"
+                min={0}
+                value={m.scores}
+                readOnly={fromLog}
+                onChange={(e) => setMatchup(i, { scores: safeInt(e.target.value) })}
+                style={input}
+              />
+            </label>
+            <label style={labelCol}>
+              <span>Defended by</span>
+              <select
+                value={m.defender ?? ""}
+                onChange={(e) => setMatchup(i, { defender: e.target.value === "" ? null : parseInt(e.target.value, 10) })}
+                style={input}
+              >
+                <option value="">—</option>
+                {Array.from({ length: teamCount }, (_, t) => t)
+                  .filter((t) => t !== index)
+                  .map((t) => (
+                    <option key={t} value={t}>Team {teamIdFor(t)}</option>
+                  ))}
+              </select>
+            </label>
+            {matchups.length > 1 && (
+              <button type="button" onClick={() => onMatchupsChange(matchups.filter((_, j) => j !== i))} style={{ ...linkBtn, color: "crimson" }}>
+                Remove
+              </button>
+            )}
+            {!fromLog && i === matchups.length - 1 && teamCount > 2 && (
+              <button type="button" onClick={() => onMatchupsChange([...matchups, newMatchup()])} style={linkBtn}>
+                + Another defender
+              </button>
+            )}
+          </div>
         </div>
-      </div>
+      ))}
 
       <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
-        {PLAYERS.map((p) => (
+        {players.map((p) => (
           <button
-            key={p}
+            key={p.id}
             type="button"
-            onClick={() => toggleRoster(p)}
-            aria-pressed={isSelected(p)}
+            onClick={() => toggleRoster(p.id)}
+            aria-pressed={isSelected(p.id)}
             style={{
               ...chip,
-              ...(isSelected(p) ? chipSelected : {}),
+              ...(isSelected(p.id) ? chipSelected : {}),
+              ...(p.active === false ? chipInactive : {}),
             }}
           >
-            {p}
+            {p.name}{p.number != null ? ` #${p.number}` : ""}
           </button>
         ))}
       </div>
+
+      {data.roster.length > 0 && (
+        <div style={{ marginTop: 8 }}>
+          <button type="button" onClick={() => setShowStats((v) => !v)} aria-expanded={showStats} style={linkBtn}>
+            {showStats ? "Hide player stats" : "Player stats"}
+          </button>
+          {showStats && (
+            <table style={{ borderCollapse: "collapse", marginTop: 6, fontSize: 14 }}>
+              <thead>
+                <tr>
+                  <th style={statHead}>Player</th>
+                  {STAT_KEYS.map((key) => (
+                    <th key={key} style={statHead}>{STAT_LABELS[key]}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.roster.map((player) => (
+                  <tr key={player}>
+                    <td style={{ padding: "2px 8px 2px 0" }}>{playerName(roster, player)}</td>
+                    {STAT_KEYS.map((key) => (
+                      <td key={key} style={{ padding: 2 }}>
+                        <input
+                          type="number"
+                          min={0}
+                          value={stats[player]?.[key] ?? 0}
+                          onChange={(e) => setStat(player, key, safeInt(e.target.value))}
+                          aria-label={`${playerName(roster, player)} ${STAT_LABELS[key].toLowerCase()}`}
+                          style={{ ...input, width: 64, padding: "4px 6px" }}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -158,13 +558,74 @@ function TeamEditor({ index, data, onRosterChange, onRepsChange, onScoresChange
 // Helpers & Styles
 // -----------------
 
+// Tracks navigator.onLine
+function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  return online;
+}
+
+// Queued practices remember their drill
+function uploadPractice(practice, season, drillId) {
+  const drill = getDrill(drillId);
+  if (!drill) throw new Error(`Unknown drill "${drillId}".`);
+  return savePractice(practice, season, drill);
+}
+
+function hasEntries(draft) {
+  return draft.teams.some((t) => t.roster?.length > 0 || t.matchups.some((m) => m.reps > 0)) || draft.repLog?.length > 0;
+}
+
+// Drafts saved before matchups had one { reps, scores, defender } per team
+function migrateDraft(draft) {
+  if (!draft) return null;
+  return {
+    ...draft,
+    teams: draft.teams.map((t) =>
+      Array.isArray(t.matchups)
+        ? t
+        : { roster: t.roster ?? [], stats: t.stats ?? {}, matchups: [{ defender: t.defender ?? null, reps: t.reps ?? 0, scores: t.scores ?? 0 }] }
+    ),
+  };
+}
+
+function downloadPractice(practice) {
+  const blob = new Blob([JSON.stringify(practice, null, 2) + "\n"], { type: "application/json" });
+  downloadBlob(`${practice.date}.json`, blob);
+}
+
+function teamIdFor(index) {
+  return LETTERS[index] || `T${index + 1}`;
+}
+
+function newMatchup() {
+  return { defender: null, reps: 0, scores: 0 };
+}
+
+function newTeam(roster = []) {
+  return { roster, matchups: [newMatchup()], stats: {} };
+}
+
 function initTeams(n) {
-  return Array.from({ length: n }, () => ({ roster: [], reps: 0, scores: 0 }));
+  return Array.from({ length: n }, () => newTeam());
 }
 
 function resizeTeams(prev, n) {
-  const next = prev.slice(0, n);
-  while (next.length < n) next.push({ roster: [], reps: 0, scores: 0 });
+  // forget defenders that no longer exist
+  const next = prev.slice(0, n).map((t) =>
+    t.matchups.some((m) => m.defender != null && m.defender >= n)
+      ? { ...t, matchups: t.matchups.map((m) => (m.defender != null && m.defender >= n ? { ...m, defender: null } : m)) }
+      : t
+  );
+  while (next.length < n) next.push(newTeam());
   return next;
 }
 
@@ -176,25 +637,51 @@ function updateTeam(index, patch, setTeams) {
   });
 }
 
-function buildJson(date, teams) {
+function buildJson(date, teams, repLog = []) {
   const teamsOut = teams.map((t, idx) => ({
-    team_id: LETTERS[idx] || `T${idx + 1}`,
+    team_id: teamIdFor(idx),
     roster: t.roster,
   }));
 
-  const resultsOut = teams.map((t, idx) => ({
-    team_id: LETTERS[idx] || `T${idx + 1}`,
-    reps: Number(t.reps) || 0,
-    scores: Number(t.scores) || 0,
+  // one result per matchup
+  const resultsOut = teams.flatMap((t, idx) =>
+    t.matchups.map((m) => ({
+      team_id: teamIdFor(idx),
+      reps: Number(m.reps) || 0,
+      scores: Number(m.scores) || 0,
+      ...(m.defender != null ? { defending_team_id: teamIdFor(m.defender) } : {}),
+    }))
+  );
+
+  const repsOut = repLog.map((r) => ({
+    team_id: teamIdFor(r.team),
+    outcome: r.outcome,
+    ...(r.scorer ? { scorer: r.scorer } : {}),
+    ...(r.assist ? { assist: r.assist } : {}),
   }));
 
+  // stat lines for players still on the team with at least one non-zero count
+  const statsOut = teams.flatMap((t) =>
+    t.roster
+      .map((player) => ({ player, ...pickCounts(t.stats?.[player]) }))
+      .filter((line) => Object.keys(line).length > 1)
+  );
+
   return {
     date: date || "YYYY-MM-DD",
     teams: teamsOut,
     results: resultsOut,
+    ...(repsOut.length ? { reps: repsOut } : {}),
+    ...(statsOut.length ? { stats: statsOut } : {}),
   };
 }
 
+function pickCounts(line = {}) {
+  const out = {};
+  for (const key of STAT_KEYS) if (line[key] > 0) out[key] = line[key];
+  return out;
+}
+
 function safeInt(v) {
   const n = parseInt(v, 10);
   return Number.isFinite(n) && n >= 0 ? n : 0;
@@ -216,6 +703,30 @@ const input = {
   borderRadius: 6,
   fontSize: 14,
 };
+const button = {
+  padding: "8px 14px",
+  border: "1px solid #7ab8ff",
+  background: "#e6f3ff",
+  borderRadius: 6,
+  fontSize: 14,
+  cursor: "pointer",
+};
+const linkBtn = {
+  border: "none",
+  background: "none",
+  padding: 0,
+  color: "#1f6feb",
+  fontSize: 14,
+  cursor: "pointer",
+};
+const offlineNote = {
+  background: "#fff8e1",
+  border: "1px solid #f0c36d",
+  borderRadius: 6,
+  padding: "8px 12px",
+  fontSize: 14,
+};
+const statHead = { textAlign: "left", fontWeight: 600, padding: "2px 8px 2px 0" };
 const pre = {
   background: "#0b1020",
   color: "#c4e3ff",
@@ -240,4 +751,9 @@ const chip = {
 const chipSelected = {
     background: "#e6f3ff",
     borderColor: "#7ab8ff",
-};
\ No newline at end of file
+};
+
+const chipInactive = {
+    borderStyle: "dashed",
+    color: "#777",
+};
@@ -0,0 +1,119 @@
+import React, { useMemo, useState } from "react";
+import { aggregateIndividualStats, playerName } from "./rz9Utils";
+
+/**
+ * IndividualStats — per-player counting stats (goals, assists, throwaways, drops)
+ *
+ * Props:
+ * - practices: normalized practices on screen
+ * - roster: registry from buildRoster, for display names
+ * - setSelectedPlayer: (id) => void   opens PlayerDetails
+ *
+ * Only practices with stat lines (or a rep log crediting scorers) count, so
+ * "Practices" here can be lower than attendance. Per-practice rates divide by
+ * those practices. Net is goals + assists − throwaways − drops.
+ */
+
+const COLUMNS = [
+  { key: "practices", label: "Practices" },
+  { key: "goals", label: "Goals" },
+  { key: "assists", label: "Assists" },
+  { key: "throwaways", label: "Throwaways" },
+  { key: "drops", label: "Drops" },
+  { key: "points", label: "G+A / practice" },
+  { key: "giveaways", label: "Turnovers / practice" },
+  { key: "net", label: "Net" },
+];
+
+export default function IndividualStats({ practices, roster, setSelectedPlayer }) {
+  const [sort, setSort] = useState({ key: "net", dir: -1 });
+
+  const rows = useMemo(() => {
+    return [...aggregateIndividualStats(practices)].map(([player, s]) => ({
+      player,
+      ...s,
+      points: (s.goals + s.assists) / s.practices,
+      giveaways: (s.throwaways + s.drops) / s.practices,
+      net: s.goals + s.assists - s.throwaways - s.drops,
+    }));
+  }, [practices]);
+
+  const sorted = useMemo(
+    () =>
+      rows
+        .slice()
+        .sort(
+          (a, b) =>
+            sort.dir * (a[sort.key] - b[sort.key]) ||
+            playerName(roster, a.player).localeCompare(playerName(roster, b.player))
+        ),
+    [rows, sort, roster]
+  );
+
+  function toggleSort(key) {
+    setSort((prev) => (prev.key === key ? { key, dir: -prev.dir } : { key, dir: -1 }));
+  }
+
+  if (rows.length === 0) {
+    return (
+      <p style={{ color: "#555" }}>
+        No individual stats yet. Enter player stats in Generate, or log reps with scorers in live entry.
+      </p>
+    );
+  }
+
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <TH>Player</TH>
+            {COLUMNS.map((c) => (
+              <TH key={c.key} onClick={() => toggleSort(c.key)}>
+                {c.label}{sort.key === c.key ? (sort.dir < 0 ? " ▼" : " ▲") : ""}
+              </TH>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((r) => (
+            <tr className="row" key={r.player} onClick={() => setSelectedPlayer(r.player)}>
+              <TD>{playerName(roster, r.player)}</TD>
+              <TD>{r.practices}</TD>
+              <TD>{r.goals}</TD>
+              <TD>{r.assists}</TD>
+              <TD>{r.throwaways}</TD>
+              <TD>{r.drops}</TD>
+              <TD>{r.points.toFixed(1)}</TD>
+              <TD>{r.giveaways.toFixed(1)}</TD>
+              <TD><strong>{r.net > 0 ? `+${r.net}` : r.net}</strong></TD>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ color: "#666", fontSize: 14 }}>
+        Unlike the team ratings, these count what each player did themselves. Practices logged without player stats are left out.
+      </p>
+    </div>
+  );
+}
+
+// ---------- styles ----------
+
+function TH({ children, onClick }) {
+  return (
+    <th
+      onClick={onClick}
+      style={{ textAlign: "left", borderBottom: "2px solid #ddd", padding: "10px 8px", fontWeight: 600, fontSize: 14, cursor: onClick ? "pointer" : undefined, whiteSpace: "nowrap" }}
+    >
+      {children}
+    </th>
+  );
+}
+function TD({ children }) {
+  return (
+    <td style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: "10px 8px" }}>
+      {children}
+    </td>
+  );
+}
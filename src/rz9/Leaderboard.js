@@ -1,164 +1,624 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useMemo, useState } from "react";
+import { Link, useLocation, useNavigate, useParams, useSearchParams } from "react-router-dom";
 import './rz9.css';
 import { 
-    fetchManifest,
-    fetchPractice, 
+    playerName,
+    ALL_SEASONS,
     aggregatePlayerStats,
+    computePlayerContributions,
+    computeCarryOverRatings,
+    computeMovement,
+    computeAttendance,
     toLeaderboard,
     formatPct,
-    getPlayerRankings
+    formatPP,
+    getPlayerRankings,
+    ABSENCE_GRACE,
+    CONSERVATIVE_Z
  } from "./rz9Utils";
  import PlayerDetails from "./PlayerDetails";
 import PracticeDetails from "./PracticeDetails";
 import Explanation from "./Explanation";
+import Chemistry from "./Chemistry";
+import IndividualStats from "./IndividualStats";
+import { MAX_COMPARE } from "./Compare";
+import ValidationPanel from "./ValidationPanel";
+import { useSeasonPractices, parseCarryOver } from "./useSeasonPractices";
+import { downloadCsv } from "./csvUtils";
+import { ELO, RATING_MODELS, getRatingModel, carryOverRatings, formatRating, formatSpread, formatRatingDelta, ratingValue } from "./ratingModels";
+import { DRILLS, getDrill, drillPath } from "./drills";
 
 
 export default function Leaderboard() {
-  const [practices, setPractices] = useState([]);
-  const [error, setError] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  const [selectedPlayer, setSelectedPlayer] = useState(null);
-  const [selectedPractice, setSelectedPractice] = useState(null);
-
-  useEffect(() => {
-    let cancelled = false;
-    (async () => {
-      try {
-        const manifest = await fetchManifest();
-        if (cancelled) return;
-        if (!Array.isArray(manifest) || manifest.length === 0) {
-          setPractices([]);
-          setLoading(false);
-          return;
-        }
-        const loaded = [];
-        for (const file of manifest) {
-          try {
-            const data = await fetchPractice(file);
-            loaded.push(data);
-          } catch (e) {
-            console.warn(e);
-          }
-        }
-        loaded.sort((a, b) => (a?.date || "").localeCompare(b?.date || ""));
-        if (!cancelled) setPractices(loaded);
-      } catch (e) {
-        console.error(e);
-        if (!cancelled) setError("Failed to load practice data.");
-      } finally {
-        if (!cancelled) setLoading(false);
-      }
-    })();
-    return () => {
-      cancelled = true;
-    };
-  }, []);
-
-  const playerMap = useMemo(() => aggregatePlayerStats(practices), [practices]);
-  const leaderboard = useMemo(() => toLeaderboard(playerMap), [playerMap]);
+  const { season: seasonParam, playerId, date: practiceParam, drillId } = useParams();
+  const drill = getDrill(drillId);
+  const { metrics } = drill;
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [rankBy, setRankBy] = useState("rating"); // "rating" | "contribution" | "conservative"
+  const [view, setView] = useState("leaderboard"); // "leaderboard" | "chemistry" | "individual"
+  const [compareIds, setCompareIds] = useState([]);
+  const [sort, setSort] = useState(null); // { key, dir } from a clicked column header; null = rank order
+  const [search, setSearch] = useState("");
+  const [minReps, setMinReps] = useState(0);
+  const [minPractices, setMinPractices] = useState(0);
+  const [range, setRange] = useState({ from: "", to: "" }); // practice dates, "" = open-ended
+  const [asOf, setAsOf] = useState(""); // practice date to rewind to, "" = today
+  const [absenceRule, setAbsenceRule] = useState(false); // pull long absences toward μ
+
+  // The open modal is part of the URL (/rz9[/:season]/player/:playerId or
+  // .../practice/:date), so it can be linked and the back button closes it.
+  // Other drills live under /drills/:drillId the same way.
+  const selectedPlayer = playerId || null;
+  const selectedPractice = practiceParam || null;
+  const basePath = drillPath(drill, seasonParam);
+
+  // The rating model is in the URL query (?model=…) like the playground
+  // values; without one, the drill's own model
+  const model = getRatingModel(searchParams.get("model") ?? drill.rating.model);
+  function setModel(id) {
+    const next = new URLSearchParams(searchParams);
+    if (id === drill.rating.model) next.delete("model");
+    else next.set("model", id);
+    setSearchParams(next, { replace: true });
+  }
+
+  // So is a carry-over choice that differs from the season's (?carryOver=1|0),
+  // which the Compare page then uses too
+  const carryOverChoice = parseCarryOver(searchParams.get("carryOver"));
+  function setCarryOverChoice(value) {
+    const next = new URLSearchParams(searchParams);
+    if (value === null) next.delete("carryOver");
+    else next.set("carryOver", value ? "1" : "0");
+    setSearchParams(next, { replace: true });
+  }
+
+  function openModal(path) {
+    navigate({ pathname: `${basePath}/${path}`, search: location.search }, { state: { modal: true } });
+  }
+  const setSelectedPlayer = (id) => openModal(`player/${encodeURIComponent(id)}`);
+  const setSelectedPractice = (date) => openModal(`practice/${date}`);
+
+  // Step back through modals opened in this session; a modal reached from a
+  // shared link has nothing to go back to, so it returns to the leaderboard.
+  function closeModal() {
+    if (location.state?.modal) navigate(-1);
+    else navigate({ pathname: basePath, search: location.search });
+  }
+
+  const { seasons, seasonId, season, isAllTime, loadedSeasons, practices, prior, carryOver, roster, issues, loading, error } =
+    useSeasonPractices(drill, seasonParam, carryOverChoice);
+
+  const seasonOfDate = useMemo(() => {
+    const m = new Map();
+    for (const s of loadedSeasons) for (const p of s.practices) m.set(p.date, s.id);
+    return m;
+  }, [loadedSeasons]);
+
+  // Elo ratings carried over (the player replay and playground use Elo), and
+  // the same on the active model's scale, both with the drill's ν
+  const initialRatings = useMemo(
+    () => (prior.length ? computeCarryOverRatings(prior, { neutral: drill.rating.neutral }) : null),
+    [prior, drill]
+  );
+  const modelInitial = useMemo(
+    () => (model === ELO ? initialRatings : prior.length ? carryOverRatings(model, prior, { neutral: drill.rating.neutral }) : null),
+    [model, prior, initialRatings, drill]
+  );
+
+  // Everything below the season's practice list only sees the selected date range
+  const inRange = useMemo(
+    () => practices.filter((p) => (!range.from || p.date >= range.from) && (!range.to || p.date <= range.to)),
+    [practices, range]
+  );
+  const filtered = inRange.length !== practices.length;
+
+  // "As of" drops later practices and measures decay from that practice's date
+  const asOfDate = asOf && inRange.some((p) => p.date === asOf) ? asOf : null;
+  const visible = useMemo(
+    () => (asOfDate ? inRange.filter((p) => p.date <= asOfDate) : inRange),
+    [inRange, asOfDate]
+  );
+  const ratingOptions = useMemo(() => {
+    const out = { neutral: drill.rating.neutral };
+    if (asOfDate) out.today = new Date(asOfDate);
+    if (absenceRule) out.attendance = { held: inRange.map((p) => p.date) };
+    return out;
+  }, [asOfDate, absenceRule, inRange, drill]);
+
+  const playerMap = useMemo(() => aggregatePlayerStats(visible), [visible]);
+  const contributions = useMemo(() => computePlayerContributions(visible), [visible]);
+  const modelRatings = useMemo(
+    () => (model === ELO ? null : model.rate(visible, { ...ratingOptions, initialRatings: modelInitial })),
+    [model, visible, ratingOptions, modelInitial]
+  );
+  const leaderboard = useMemo(
+    () => toLeaderboard(playerMap, contributions, { initialRatings, ratingOptions, ratings: modelRatings }),
+    [playerMap, contributions, initialRatings, ratingOptions, modelRatings]
+  );
+  const movement = useMemo(
+    () =>
+      computeMovement(visible, {
+        date: asOfDate,
+        initialRatings: modelInitial,
+        ratingOptions: { neutral: ratingOptions.neutral, ...(absenceRule ? { attendance: ratingOptions.attendance } : {}) },
+        model: model === ELO ? null : model,
+      }),
+    [visible, asOfDate, modelInitial, absenceRule, ratingOptions, model]
+  );
+  const attendance = useMemo(() => computeAttendance(visible), [visible]);
   const rankings = useMemo(() => getPlayerRankings(leaderboard), [leaderboard]);
 
+  // Everyone in "Rank by" order; the # column and medals follow it unless a
+  // column header re-sorts the table, which shows the rating rank instead
+  const ranked = useMemo(() => {
+    if (rankBy === "conservative") return [...leaderboard].sort((a, b) => b.conservative - a.conservative || a.player.localeCompare(b.player));
+    if (rankBy === "contribution") return [...leaderboard].sort((a, b) => b.contribution - a.contribution || a.player.localeCompare(b.player));
+    return leaderboard;
+  }, [leaderboard, rankBy]);
+  const rankedRankings = useMemo(() => getPlayerRankings(ranked), [ranked]);
+  const shownRank = sort ? rankings : rankedRankings;
+
+  const displayed = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const rows = ranked.map((r) => ({ ...r, ...attendance.get(r.player) })).filter(
+      (r) =>
+        r.reps >= minReps &&
+        r.practiceCount >= minPractices &&
+        (!q || playerName(roster, r.player).toLowerCase().includes(q))
+    );
+    if (sort) {
+      // missing values (no defensive data) always sort last
+      const val = (r) => r[sort.key] ?? (sort.dir > 0 ? Infinity : -Infinity);
+      return rows.sort((a, b) => sort.dir * (val(a) - val(b)) || b.rating - a.rating);
+    }
+    return rows;
+  }, [ranked, attendance, sort, search, minReps, minPractices, roster]);
+
+  const hasFilters = search !== "" || minReps > 0 || minPractices > 0 || filtered;
+
+  function sortBy(key) {
+    setSort((prev) => (prev?.key === key ? { key, dir: -prev.dir } : { key, dir: SORT_COLUMNS[key] }));
+  }
+
+  // The table as shown (filters, sort, "as of") with raw numbers for spreadsheets
+  function exportCsv() {
+    const header = ["Rank", "Player", "Id", metrics.successes.label, metrics.attempts.label, metrics.rateLabel, `Rating (${model.name})`, "Rating ± (95%)", "Conservative rating", "Rating change", "Contribution (pp)", "Allowed %", "Def. Rating", "Attended", "Held", "Streak", "Longest streak", "Last seen"];
+    const round = (v, digits) => (v == null ? "" : Number(v.toFixed(digits)));
+    const rows = displayed.map((r) => [
+      shownRank[r.player],
+      playerName(roster, r.player),
+      r.player,
+      r.scored,
+      r.reps,
+      round(r.pct * 100, 1),
+      ratingValue(model, r.rating),
+      ratingValue(model, CONSERVATIVE_Z * r.rd),
+      ratingValue(model, r.conservative),
+      ratingValue(model, movement.moves.get(r.player)?.ratingDelta),
+      round(r.contribution * 100, 1),
+      round(r.allowedPct == null ? null : r.allowedPct * 100, 1),
+      round(r.defRating, 1),
+      r.attended,
+      r.held,
+      r.currentStreak,
+      r.longestStreak,
+      r.lastSeen || "",
+    ]);
+    downloadCsv(`${drill.id}-leaderboard-${seasonId}${asOfDate ? `-as-of-${asOfDate}` : ""}.csv`, [header, ...rows]);
+  }
+
+  function clearFilters() {
+    setSearch("");
+    setMinReps(0);
+    setMinPractices(0);
+    setRange({ from: "", to: "" });
+  }
+
   const totals = useMemo(() => {
     let totalReps = 0;
     let totalScores = 0;
-    for (const p of practices) {
+    for (const p of visible) {
       for (const r of p.results || []) {
         totalReps += Number(r.reps || 0);
         totalScores += Number(r.scores || 0);
       }
     }
     return { totalReps, totalScores };
-  }, [practices]);
+  }, [visible]);
 
   const lastDate = practices.length ? practices[practices.length - 1].date : "—";
 
   return (
     <div style={{ maxWidth: 900, margin: "40px auto", padding: "0 16px" }}>
       <header style={{ marginBottom: 16 }}>
-        <h1 style={{ margin: 0 }}>Tribe 2025 · Red Zone 9s</h1>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+          <h1 style={{ margin: 0 }}>{isAllTime ? "All-time" : season?.name || seasonId || "Tribe"} · {drill.name}</h1>
+          <select
+            aria-label="Drill"
+            value={drill.id}
+            onChange={(e) => navigate(getDrill(e.target.value).path)}
+            style={{ padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, fontSize: 14, marginLeft: "auto" }}
+          >
+            {DRILLS.map((d) => (
+              <option key={d.id} value={d.id}>{d.name}</option>
+            ))}
+          </select>
+          {seasons.length > 0 && (
+            <select
+              aria-label="Season"
+              value={seasonId || ""}
+              onChange={(e) => {
+                setRange({ from: "", to: "" });
+                setAsOf("");
+                navigate(drillPath(drill, e.target.value));
+              }}
+              style={{ padding: "6px 8px", border: "1px solid #ddd", borderRadius: 6, fontSize: 14 }}
+            >
+              {seasons.map((s) => (
+                <option key={s.id} value={s.id}>{s.name || s.id}</option>
+              ))}
+              <option value={ALL_SEASONS}>All-time</option>
+            </select>
+          )}
+        </div>
         <div style={{ color: "#555", marginTop: 4 }}>
-          Practices loaded: <strong>{practices.length}</strong> · Last update: <strong>{lastDate}</strong>
+          Practices loaded: <strong>{practices.length}</strong>{filtered && <> · In range: <strong>{inRange.length}</strong></>} · Last update: <strong>{lastDate}</strong>
         </div>
         <div style={{ color: "#555", marginTop: 4 }}>
-          Aggregate: <strong>{totals.totalScores}</strong> scores / <strong>{totals.totalReps}</strong> reps · Team-wide rate {totals.totalReps > 0 ? formatPct(totals.totalScores / totals.totalReps) : "0.0%"}
+          Aggregate: <strong>{totals.totalScores}</strong> {metrics.successes.label.toLowerCase()} / <strong>{totals.totalReps}</strong>{" "}
+          {metrics.attempts.label.toLowerCase()} · Team-wide rate {totals.totalReps > 0 ? formatPct(totals.totalScores / totals.totalReps) : "0.0%"}
         </div>
+        {seasonId && (
+          <div style={{ color: "#555", marginTop: 4, fontSize: 14 }}>
+            <Link to={`${drillPath(drill, seasonId)}/backtest`}>How well does the rating predict? Backtest →</Link>
+          </div>
+        )}
       </header>
 
       {loading && <p>Loading practice data…</p>}
       {!loading && practices.length === 0 && !error && (
-        <EmptyState />
+        <EmptyState season={isAllTime ? null : seasonId} dataPath={drill.dataPath} />
       )}
 
       {error && (
         <p style={{ color: "crimson" }}>{error}</p>
       )}
 
+      {!loading && <ValidationPanel issues={issues} title="Practice data warnings" />}
+
       {!loading && !error && practices.length > 0 && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, fontSize: 14, flexWrap: "wrap" }}>
+          <span style={{ color: "#555" }}>View:</span>
+          <ToggleButton active={view === "leaderboard"} onClick={() => setView("leaderboard")}>Leaderboard</ToggleButton>
+          <ToggleButton active={view === "chemistry"} onClick={() => setView("chemistry")}>Chemistry</ToggleButton>
+          <ToggleButton active={view === "individual"} onClick={() => setView("individual")}>Individual stats</ToggleButton>
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 6, marginLeft: "auto", color: "#555" }}>
+            From
+            <DateSelect value={range.from} dates={practices.map((p) => p.date)} onChange={(from) => setRange((r) => ({ ...r, from }))} label="Earliest practice" />
+          </label>
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 6, color: "#555" }}>
+            to
+            <DateSelect value={range.to} dates={practices.map((p) => p.date)} onChange={(to) => setRange((r) => ({ ...r, to }))} label="Latest practice" />
+          </label>
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 6, color: "#555" }}>
+            As of
+            <DateSelect value={asOfDate || ""} dates={inRange.map((p) => p.date)} onChange={setAsOf} label="As of practice" emptyLabel="Today" />
+          </label>
+        </div>
+      )}
+
+      {!loading && !error && practices.length > 0 && view === "chemistry" && (
+        <Chemistry practices={visible} roster={roster} setSelectedPractice={setSelectedPractice} />
+      )}
+
+      {!loading && !error && practices.length > 0 && view === "individual" && (
+        <IndividualStats practices={visible} roster={roster} setSelectedPlayer={setSelectedPlayer} />
+      )}
+
+      {!loading && !error && practices.length > 0 && view === "leaderboard" && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, fontSize: 14, flexWrap: "wrap" }}>
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 6, color: "#555" }}>
+            Model
+            <select aria-label="Rating model" value={model.id} onChange={(e) => setModel(e.target.value)} style={input}>
+              {RATING_MODELS.map((m) => (
+                <option key={m.id} value={m.id}>{m.name}</option>
+              ))}
+            </select>
+          </label>
+          <span style={{ color: "#555" }}>Rank by:</span>
+          <ToggleButton active={!sort && rankBy === "rating"} onClick={() => { setRankBy("rating"); setSort(null); }}>Team rating</ToggleButton>
+          <ToggleButton active={!sort && rankBy === "contribution"} onClick={() => { setRankBy("contribution"); setSort(null); }}>Individual contribution</ToggleButton>
+          <ToggleButton active={!sort && rankBy === "conservative"} onClick={() => { setRankBy("conservative"); setSort(null); }}>
+            Conservative ({model.conservativeLabel})
+          </ToggleButton>
+          {compareIds.length > 0 && (
+            <span style={{ color: "#555" }}>
+              {compareIds.length >= 2 ? (
+                <Link to={`${drillPath(drill, seasonId)}/compare?players=${compareIds.join(",")}${searchParams.has("model") ? `&model=${model.id}` : ""}${searchParams.has("carryOver") ? `&carryOver=${searchParams.get("carryOver")}` : ""}`}>Compare {compareIds.length} players →</Link>
+              ) : (
+                "Check another player to compare"
+              )}{" "}
+              <button type="button" onClick={() => setCompareIds([])} style={clearBtn}>Clear</button>
+            </span>
+          )}
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 6, marginLeft: "auto", color: "#555" }}>
+            <input type="checkbox" checked={absenceRule} onChange={(e) => setAbsenceRule(e.target.checked)} />
+            Pull long absences toward μ
+          </label>
+          {!isAllTime && loadedSeasons.length > 1 && (
+            <label style={{ display: "inline-flex", alignItems: "center", gap: 6, color: "#555" }}>
+              <input type="checkbox" checked={carryOver} onChange={(e) => setCarryOverChoice(e.target.checked === !!season?.carryOver ? null : e.target.checked)} />
+              Carry ratings over from earlier seasons
+            </label>
+          )}
+        </div>
+      )}
+
+      {!loading && !error && practices.length > 0 && view === "leaderboard" && (
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8, fontSize: 14, flexWrap: "wrap", color: "#555" }}>
+          <input
+            type="search"
+            placeholder="Search players"
+            aria-label="Search players"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            style={{ ...input, width: 180 }}
+          />
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+            Min reps
+            <NumberInput value={minReps} onChange={setMinReps} />
+          </label>
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+            Min practices
+            <NumberInput value={minPractices} onChange={setMinPractices} />
+          </label>
+          {hasFilters && (
+            <>
+              <span>Showing {displayed.length} of {leaderboard.length}</span>
+              <button type="button" onClick={clearFilters} style={clearBtn}>Clear filters</button>
+            </>
+          )}
+          <button type="button" onClick={exportCsv} style={{ ...clearBtn, marginLeft: "auto" }}>Export CSV</button>
+        </div>
+      )}
+
+      {!loading && !error && practices.length > 0 && view === "leaderboard" && (
         <div style={{ overflowX: "auto" }}>
           <table style={{ width: "100%", borderCollapse: "collapse" }}>
             <thead>
               <tr>
+                <TH><span title="Compare">⇄</span></TH>
                 <TH>#</TH>
+                <TH><span title={movement.previous ? `Rank change since ${movement.previous}` : undefined}>Move</span></TH>
                 <TH>Player</TH>
-                <TH># Scores</TH>
-                <TH># Reps</TH>
-                <TH>Score %</TH>
-                <TH>Rating</TH>
+                <SortTH column="scored" sort={sort} onSort={sortBy}># {metrics.successes.label}</SortTH>
+                <SortTH column="reps" sort={sort} onSort={sortBy}># {metrics.attempts.label}</SortTH>
+                <SortTH column="pct" sort={sort} onSort={sortBy}>{metrics.rateLabel}</SortTH>
+                <SortTH column="rating" sort={sort} onSort={sortBy}>Rating</SortTH>
+                <SortTH column="contribution" sort={sort} onSort={sortBy}>Contribution</SortTH>
+                <SortTH column="allowedPct" sort={sort} onSort={sortBy}>Allowed %</SortTH>
+                <SortTH column="defRating" sort={sort} onSort={sortBy}>Def. Rating</SortTH>
+                <SortTH column="attended" sort={sort} onSort={sortBy}>Attended</SortTH>
+                <SortTH column="currentStreak" sort={sort} onSort={sortBy}>Streak</SortTH>
+                <TH>Last seen</TH>
               </tr>
             </thead>
             <tbody>
-              {leaderboard.map((row, idx) => (
-                <tr className="row" key={row.player} onClick={() => {setSelectedPlayer(row.player); console.log(practices)}} style={idx % 2 === 1 ? { background: "#fafafa" } : undefined}>
-                  <TD >{idx === 0 ? "🥇" : (idx === 1 ? "🥈" : (idx === 2 ? "🥉" : (idx === leaderboard.length - 1) ? "💩" : idx + 1))}</TD>
-                  <TD>{row.player}</TD>
+              {displayed.map((row, idx) => (
+                <tr className="row" key={row.player} onClick={() => setSelectedPlayer(row.player)} style={idx % 2 === 1 ? { background: "#fafafa" } : undefined}>
+                  <TD>
+                    <input
+                      type="checkbox"
+                      aria-label={`Compare ${playerName(roster, row.player)}`}
+                      checked={compareIds.includes(row.player)}
+                      disabled={!compareIds.includes(row.player) && compareIds.length >= MAX_COMPARE}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) =>
+                        setCompareIds((prev) => (e.target.checked ? [...prev, row.player] : prev.filter((id) => id !== row.player)))
+                      }
+                    />
+                  </TD>
+                  <TD >{rankLabel(shownRank[row.player], leaderboard.length)}</TD>
+                  <TD><Movement move={movement.moves.get(row.player)} /></TD>
+                  <TD>{playerName(roster, row.player)}</TD>
                   <TD >{row.scored}</TD>
                   <TD >{row.reps}</TD>
                   <TD ><strong>{formatPct(row.pct)}</strong></TD>
-                  <TD >{Math.round(row.rating)}</TD>
+                  <TD >
+                    {formatRating(model, row.rating)}
+                    <small style={{ color: "#888" }} title={`Conservative: ${formatRating(model, row.conservative)}`}> {formatSpread(model, row.rd)}</small>
+                    <RatingDelta move={movement.moves.get(row.player)} model={model} />
+                  </TD>
+                  <TD >{formatPP(row.contribution)}</TD>
+                  <TD >{row.allowedPct == null ? "—" : formatPct(row.allowedPct)}</TD>
+                  <TD >{row.defRating == null ? "—" : Math.round(row.defRating)}</TD>
+                  <TD >{row.attended}/{row.held}</TD>
+                  <TD ><span title={`Longest: ${row.longestStreak}`}>{row.currentStreak} <small style={{ color: "#888" }}>(best {row.longestStreak})</small></span></TD>
+                  <TD >{row.lastSeen || "—"}</TD>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
       )}
-      <Explanation />
+      <Explanation
+        playerMap={playerMap}
+        contributions={contributions}
+        initialRatings={initialRatings}
+        baseline={leaderboard}
+        ratingOptions={ratingOptions}
+        roster={roster}
+        model={model}
+      />
       <footer style={{ marginTop: 16, color: "#666", fontSize: 14 }}>
         <p>
-          Note: This is a very simple calculation that attributes team scoring rates to all players on that team. Rate is not calculated on a per-player basis.
+          Note: {metrics.rateLabel}, Rating and the rating-based ranking attribute team success rates to all players on that team. Rate is not calculated on a per-player basis.
+        </p>
+        <p>
+          Contribution fits every player at once across all practices, so a player who always lands on a strong team is not credited with their teammates' scoring. See Rating Details above.
+        </p>
+        <p>
+          The ± after a rating is a 95% interval ({CONSERVATIVE_Z} deviations). It narrows with every rep a player logs, so a player with only a few reps
+          has a wide interval; with the decayed Elo and Glicko-2 it also widens again between practices. "Conservative" ranks by a cautious low estimate
+          ({model.conservativeLabel}).
+        </p>
+        <p>
+          Allowed % and Def. Rating only count results that record a defending team. They are credited to every player on the defending team. Def. Rating
+          always uses the decayed Elo, whichever model is selected.
+        </p>
+        <p>
+          Attended counts practices in the selected range; Streak is consecutive practices attended up to the latest one. With "Pull long absences toward μ", missing more than {ABSENCE_GRACE} practices in a row pulls a rating back toward the default (see Rating Details).
+        </p>
+        <p>
+          Move and the small rating change compare the leaderboard right after the latest practice (or the "As of" practice) with the one after the practice before it, each with decay measured from its own date.
         </p>
       </footer>
       <PlayerDetails
         open={!!selectedPlayer}
-        onClose={() => setSelectedPlayer(null)}
+        onClose={closeModal}
         player={selectedPlayer}
-        practices={practices}
+        practices={visible}
+        initialRating={initialRatings?.get(selectedPlayer)}
+        ratingOptions={ratingOptions}
+        model={model}
+        modelRating={modelRatings?.get(selectedPlayer)}
+        roster={roster}
+        drill={drill}
         rankings={rankings}
         setSelectedPractice={setSelectedPractice}
       />
       <PracticeDetails
         open={!!selectedPractice}
-        onClose={() => setSelectedPractice(null)}
+        onClose={closeModal}
         practiceDate={selectedPractice}
+        season={seasonOfDate.get(selectedPractice)}
+        roster={roster}
+        drill={drill}
         rankings={rankings}
         setSelectedPlayer={setSelectedPlayer}
-        setSelectedPractice={setSelectedPractice}
       />
     </div>
   );
 }
 
-function EmptyState() {
+// Sortable columns and the direction of their first click (-1 = highest first)
+const SORT_COLUMNS = {
+  scored: -1,
+  reps: -1,
+  pct: -1,
+  rating: -1,
+  contribution: -1,
+  allowedPct: 1,
+  defRating: -1,
+  attended: -1,
+  currentStreak: -1,
+};
+
+function EmptyState({ season, dataPath }) {
+  const dir = `public/${dataPath}/${season || "<season>"}`;
   return (
     <div style={{ padding: 16, border: "1px solid #eee", borderRadius: 8 }}>
       <p style={{ margin: 0 }}>
-        No practices found. Add JSON files under <code>public/rz9_data/</code> and list them in
-        <code> public/rz9_data/manifest.json</code>.
+        No practices found. Add JSON files under <code>{dir}/</code> and list them in
+        <code> {dir}/manifest.json</code>.
       </p>
     </div>
   );
 }
 
+// A rank with medals for the top three and 💩 for last; it comes from the
+// whole leaderboard, so filters don't change it
+function rankLabel(rank, count) {
+  if (rank === 1) return "🥇";
+  if (rank === 2) return "🥈";
+  if (rank === 3) return "🥉";
+  if (rank === count) return "💩";
+  return rank;
+}
+
+function ToggleButton({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      style={{
+        border: "1px solid " + (active ? "#7ab8ff" : "#ddd"),
+        background: active ? "#e6f3ff" : "#f8f8f8",
+        borderRadius: 9999,
+        padding: "4px 10px",
+        fontSize: 13,
+        cursor: "pointer",
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+// Rank change after the latest (or "as of") practice: ▲ climbed, ▼ dropped
+function Movement({ move }) {
+  if (!move || move.rankChange == null) return <span style={{ color: "#888", fontSize: 12 }}>{move ? "new" : ""}</span>;
+  const { rankChange } = move;
+  if (rankChange === 0) return <span style={{ color: "#888" }}>–</span>;
+  return (
+    <span style={{ color: rankChange > 0 ? "seagreen" : "crimson", whiteSpace: "nowrap" }}>
+      {rankChange > 0 ? `▲ ${rankChange}` : `▼ ${-rankChange}`}
+    </span>
+  );
+}
+
+function RatingDelta({ move, model }) {
+  const text = move ? formatRatingDelta(model, move.ratingDelta) : "";
+  if (!text) return null;
+  return (
+    <small style={{ marginLeft: 6, color: move.ratingDelta > 0 ? "seagreen" : "crimson" }}>
+      {text}
+    </small>
+  );
+}
+
+function DateSelect({ value, dates, onChange, label, emptyLabel = "Any" }) {
+  return (
+    <select aria-label={label} value={value} onChange={(e) => onChange(e.target.value)} style={input}>
+      <option value="">{emptyLabel}</option>
+      {dates.map((d) => (
+        <option key={d} value={d}>{d}</option>
+      ))}
+    </select>
+  );
+}
+
+function NumberInput({ value, onChange }) {
+  return (
+    <input
+      type="number"
+      min={0}
+      value={value}
+      onChange={(e) => onChange(Math.max(0, parseInt(e.target.value, 10) || 0))}
+      style={{ ...input, width: 64 }}
+    />
+  );
+}
+
+const input = {
+  padding: "4px 6px",
+  border: "1px solid #ddd",
+  borderRadius: 6,
+  fontSize: 14,
+};
+const clearBtn = {
+  border: "1px solid #ddd",
+  background: "#f8f8f8",
+  borderRadius: 6,
+  padding: "2px 8px",
+  fontSize: 12,
+  cursor: "pointer",
+};
+
 // Simple styled table components
 function TH({ children }) {
   return (
@@ -167,6 +627,18 @@ function TH({ children }) {
     </th>
   );
 }
+function SortTH({ column, sort, onSort, children }) {
+  const active = sort?.key === column;
+  return (
+    <th
+      onClick={() => onSort(column)}
+      aria-sort={active ? (sort.dir > 0 ? "ascending" : "descending") : "none"}
+      style={{ textAlign: "left", borderBottom: "2px solid #ddd", padding: "10px 8px", fontWeight: 600, fontSize: 14, cursor: "pointer", whiteSpace: "nowrap" }}
+    >
+      {children}{active ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+    </th>
+  );
+}
 function TD({ children, center }) {
   return (
     <td style={{ textAlign: center ? "center" : "left", borderBottom: "1px solid #eee", padding: "10px 8px" }}>
@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { playerName } from "./rz9Utils";
+
+/**
+ * LiveEntry — big-button rep logging for the sideline
+ *
+ * Props:
+ * - teams: Generate's team editors ({ roster: [player id] }), in team order
+ * - teamIds: team_id letter for each team
+ * - roster: registry from buildRoster, for display names
+ * - log: [{ team, outcome, scorer, assist }] where team is an index into teams
+ * - onChange: (log) => void
+ *
+ * Pick the team running reps, then tap Score / Turnover / Drop for each rep.
+ * After a score, tap who scored and who threw it (or skip). Undo removes the
+ * last rep. Generate fills each team's reps and scores from this log.
+ */
+
+const OUTCOMES = [
+  { key: "score", label: "Score", color: "#2f9e44" },
+  { key: "turnover", label: "Turnover", color: "#d9480f" },
+  { key: "drop", label: "Drop", color: "#868e96" },
+];
+
+export default function LiveEntry({ teams, teamIds, roster, log, onChange }) {
+  const [team, setTeam] = useState(0);
+  const [step, setStep] = useState(null); // null | "scorer" | "assist" (for the last rep)
+
+  const current = Math.min(team, teams.length - 1);
+  const last = log[log.length - 1];
+  const players = teams[current]?.roster || [];
+
+  function addRep(outcome) {
+    onChange([...log, { team: current, outcome, scorer: null, assist: null }]);
+    setStep(outcome === "score" ? "scorer" : null);
+  }
+
+  function credit(player) {
+    const next = log.slice();
+    next[next.length - 1] = { ...last, [step]: player };
+    onChange(next);
+    setStep(step === "scorer" && player ? "assist" : null);
+  }
+
+  function undo() {
+    onChange(log.slice(0, -1));
+    setStep(null);
+  }
+
+  const counts = teams.map((_, i) => {
+    const reps = log.filter((r) => r.team === i);
+    return { reps: reps.length, scores: reps.filter((r) => r.outcome === "score").length };
+  });
+
+  return (
+    <div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(120px, 1fr))", gap: 8 }}>
+        {teams.map((_, i) => (
+          <button
+            key={i}
+            type="button"
+            onClick={() => { setTeam(i); setStep(null); }}
+            aria-pressed={i === current}
+            style={{ ...bigBtn, ...(i === current ? teamActive : {}) }}
+          >
+            Team {teamIds[i]}
+            <div style={{ fontSize: 14, fontWeight: 400 }}>{counts[i].scores} / {counts[i].reps}</div>
+          </button>
+        ))}
+      </div>
+
+      {step ? (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 16, marginBottom: 8 }}>
+            {step === "scorer" ? "Who scored?" : "Who threw the assist?"}
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))", gap: 8 }}>
+            {players
+              .filter((p) => step === "scorer" || p !== last?.scorer)
+              .map((p) => (
+                <button key={p} type="button" onClick={() => credit(p)} style={playerBtn}>
+                  {playerName(roster, p)}
+                </button>
+              ))}
+            <button type="button" onClick={() => credit(null)} style={{ ...playerBtn, color: "#666" }}>Skip</button>
+          </div>
+        </div>
+      ) : (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8, marginTop: 12 }}>
+          {OUTCOMES.map((o) => (
+            <button
+              key={o.key}
+              type="button"
+              onClick={() => addRep(o.key)}
+              disabled={teams.length === 0}
+              style={{ ...bigBtn, minHeight: 72, background: o.color, border: `1px solid ${o.color}`, color: "#fff" }}
+            >
+              {o.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 12 }}>
+        <button type="button" onClick={undo} disabled={log.length === 0} style={{ ...bigBtn, minHeight: 44, flex: "0 0 auto" }}>
+          Undo
+        </button>
+        <span style={{ color: "#555", fontSize: 14 }}>
+          {log.length} rep{log.length === 1 ? "" : "s"} logged
+          {last && <> · last: Team {teamIds[last.team]} {describe(last, roster)}</>}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// ---------- helpers ----------
+
+function describe(rep, roster) {
+  if (rep.outcome !== "score") return rep.outcome;
+  if (!rep.scorer) return "score";
+  return `score by ${playerName(roster, rep.scorer)}${rep.assist ? ` from ${playerName(roster, rep.assist)}` : ""}`;
+}
+
+// ---------- styles ----------
+
+const bigBtn = {
+  minHeight: 56,
+  padding: "8px 12px",
+  border: "1px solid #ccc",
+  background: "#f8f8f8",
+  borderRadius: 10,
+  fontSize: 20,
+  fontWeight: 600,
+  cursor: "pointer",
+  touchAction: "manipulation",
+};
+const teamActive = {
+  background: "#e6f3ff",
+  border: "2px solid #1f6feb",
+};
+const playerBtn = {
+  minHeight: 52,
+  padding: "8px 10px",
+  border: "1px solid #ccc",
+  background: "#fff",
+  borderRadius: 10,
+  fontSize: 17,
+  cursor: "pointer",
+  touchAction: "manipulation",
+};
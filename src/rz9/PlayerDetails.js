@@ -1,5 +1,20 @@
 import React, { useEffect, useMemo } from "react";
-import { computePlayerRating } from "./rz9Utils";
+import {
+  computeAttendance,
+  computePlayerRating,
+  computeRatingDeviation,
+  computeRatingHistory,
+  playerName,
+  practiceStatLines,
+  EMPTY_ROSTER,
+  INITIAL,
+  CONSERVATIVE_Z,
+  STAT_KEYS,
+} from "./rz9Utils";
+import RatingChart from "./RatingChart";
+import { formatRating, formatSpread } from "./ratingModels";
+import { downloadCsv } from "./csvUtils";
+import { DEFAULT_DRILL } from "./drills";
 
 /**
  * PlayerDetails — popup modal showing per-practice scoring for a player
@@ -7,21 +22,35 @@ import { computePlayerRating } from "./rz9Utils";
  * Props:
  * - open: boolean
  * - onClose: () => void
- * - player: string (player name as used in practice JSON rosters)
+ * - player: string (player id; practices are normalized so rosters hold ids)
  * - practices: Array<Practice> (objects using your per-practice schema)
+ * - initialRating: number (optional; rating carried over from earlier seasons)
+ * - ratingOptions: object (optional; passed to computeRatingHistory, e.g. { today } for an "as of" view)
+ * - model, modelRating: the Leaderboard's rating model and this player's
+ *   { rating, rd } under it (optional; the chart and table always replay the decayed Elo)
+ * - roster: registry from buildRoster, for display names and jersey numbers
+ * - drill: the drill on screen (drills.js; default Red Zone 9s), for column
+ *   labels and the CSV file name
  *
- * Usage example (inside RedZoneELO):
- * const [selectedPlayer, setSelectedPlayer] = useState(null);
- * ... in the table row ... onClick={() => setSelectedPlayer(row.player)}
+ * - setSelectedPractice: (date) => void   opens that practice's details
+ *
+ * Goals, assists, throwaways and drops columns appear once any of the
+ * player's practices has a stat line for them (see practiceStatLines).
+ *
+ * Usage example (inside Leaderboard, which owns the /rz9/player/:playerId route):
+ * const { playerId } = useParams();
+ * ... in the table row ... onClick={() => openPlayer(row.player)}
  * <PlayerDetails
- *   open={!!selectedPlayer}
- *   onClose={() => setSelectedPlayer(null)}
- *   player={selectedPlayer}
+ *   open={!!playerId}
+ *   onClose={closeModal}
+ *   player={playerId}
  *   practices={practices}
  * />
  */
 
-export default function PlayerDetails({ open, onClose, player, practices = [], rankings, setSelectedPractice }) {
+const NO_OPTIONS = {};
+
+export default function PlayerDetails({ open, onClose, player, practices = [], initialRating = INITIAL, ratingOptions = NO_OPTIONS, model = null, modelRating = null, roster = EMPTY_ROSTER, drill = DEFAULT_DRILL, rankings, setSelectedPractice }) {
   // Close on ESC
   useEffect(() => {
     if (!open) return;
@@ -50,15 +79,25 @@ export default function PlayerDetails({ open, onClose, player, practices = [], r
 
       for (const t of teamsWithPlayer) {
         teamIds.push(t.team_id);
-        const r = (p.results || []).find((x) => x.team_id === t.team_id);
-        if (r) {
+        // every matchup the team played, as the leaderboard counts them
+        for (const r of (p.results || []).filter((x) => x.team_id === t.team_id)) {
           reps += Number(r.reps || 0);
           scores += Number(r.scores || 0);
         }
       }
 
+      // reps where one of the player's teams was recorded as the defense
+      let defReps = 0;
+      let allowed = 0;
+      for (const r of p.results || []) {
+        if (r.defending_team_id == null || !teamIds.includes(r.defending_team_id)) continue;
+        defReps += Number(r.reps || 0);
+        allowed += Number(r.scores || 0);
+      }
+
       const pct = reps > 0 ? scores / reps : 0;
-      out.push({ date: p.date, teamIds, reps, scores, pct });
+      const line = practiceStatLines(p).get(player) || null;
+      out.push({ date: p.date, teamIds, reps, scores, pct, defReps, allowed, line });
     }
 
     // Newest first
@@ -76,46 +115,151 @@ export default function PlayerDetails({ open, onClose, player, practices = [], r
     return { reps, scores, pct: reps > 0 ? scores / reps : 0 };
   }, [rows]);
 
+  // summed stat lines, or null when no practice has one for this player
+  const statTotals = useMemo(() => {
+    const lines = rows.filter((r) => r.line);
+    if (lines.length === 0) return null;
+    const out = Object.fromEntries(STAT_KEYS.map((key) => [key, 0]));
+    for (const r of lines) for (const key of STAT_KEYS) out[key] += r.line[key];
+    return out;
+  }, [rows]);
+
+  // Elo replay, oldest first; keyed by date for the table below
+  const history = useMemo(() => computeRatingHistory(rows, { ...ratingOptions, initial: initialRating }), [rows, initialRating, ratingOptions]);
+  const historyByDate = useMemo(() => new Map(history.map((h) => [h.date, h])), [history]);
+  // includes any pull for practices missed since the last one attended
+  const rating = useMemo(
+    () => (rows.length ? computePlayerRating(rows, { ...ratingOptions, initial: initialRating }) : null),
+    [rows, initialRating, ratingOptions]
+  );
+  const rd = useMemo(() => (rows.length ? computeRatingDeviation(rows, ratingOptions) : null), [rows, ratingOptions]);
+
+  function exportCsv() {
+    const { attempts, successes } = drill.metrics;
+    const header = ["Date", "Team", successes.label, attempts.label, "Rate %", "w_i", "Rating change", "Rating after", "Rating ± (95%)", "Allowed", "Defended reps", ...STAT_KEYS.map((key) => STAT_HEADERS[key].title)];
+    const lines = rows
+      .slice()
+      .reverse()
+      .map((r) => {
+        const h = historyByDate.get(r.date);
+        return [
+          r.date,
+          r.teamIds.join(" "),
+          r.scores,
+          r.reps,
+          Number((r.pct * 100).toFixed(1)),
+          h ? Number(h.decay.toFixed(3)) : "",
+          h ? Number((h.delta + (h.pulled || 0)).toFixed(1)) : "",
+          h ? Number(h.rating.toFixed(1)) : "",
+          h ? Number((CONSERVATIVE_Z * h.rd).toFixed(1)) : "",
+          r.defReps > 0 ? r.allowed : "",
+          r.defReps > 0 ? r.defReps : "",
+          ...STAT_KEYS.map((key) => (r.line ? r.line[key] : "")),
+        ];
+      });
+    downloadCsv(`${drill.id}-${player}.csv`, [header, ...lines]);
+  }
+
+  const attendance = useMemo(() => (player ? computeAttendance(practices).get(player) : null), [player, practices]);
+
+  const defRating = useMemo(() => {
+    const entries = rows.filter((r) => r.defReps > 0).map((r) => ({ date: r.date, pct: r.allowed / r.defReps }));
+    return entries.length ? computePlayerRating(entries, { ...ratingOptions, attendance: null, defense: true }) : null;
+  }, [rows, ratingOptions]);
+
   if (!open) return null;
 
+  const name = player ? playerName(roster, player) : null;
+  const entry = roster.byId.get(player);
+
   return (
-    <div role="dialog" aria-modal="true" aria-label={`Details for ${player || "player"}`} style={overlay} onClick={onClose}>
+    <div role="dialog" aria-modal="true" aria-label={`Details for ${name || "player"}`} style={overlay} onClick={onClose}>
       <div style={modal} onClick={(e) => e.stopPropagation()}>
         <header style={modalHeader}>
           <div>
-            <h2 style={{ margin: 0 }}>{player || "Player"}</h2>
+            <h2 style={{ margin: 0 }}>
+              {name || "Player"}
+              {entry?.number != null && <span style={{ color: "#888", fontWeight: 400 }}> #{entry.number}</span>}
+              {entry && entry.active === false && <span style={{ color: "#888", fontWeight: 400, fontSize: 14 }}> (inactive)</span>}
+            </h2>
             <div style={{ color: "#666", marginTop: 4 }}>
               Practices: <strong>{rows.length}</strong> · Overall: <strong>{totals.scores}</strong> / <strong>{totals.reps}</strong> ({formatPct(totals.pct)}) 
-              · Current Rank: <strong>{rankings[player]}</strong> · Current Rating: <strong>{Math.round(computePlayerRating(rows))}</strong> 
+              · Current Rank: <strong>{rankings[player]}</strong> · {model && modelRating ? "Elo Rating" : "Current Rating"}: <strong>{rating == null ? "—" : Math.round(rating)}</strong>
+              {rd != null && <span title={`95% interval; conservative rating ${Math.round(rating - CONSERVATIVE_Z * rd)}`}> ± {Math.round(CONSERVATIVE_Z * rd)}</span>}
+              {model && modelRating && (
+                <> · {model.name}: <strong>{formatRating(model, modelRating.rating)}</strong> {formatSpread(model, modelRating.rd)}</>
+              )}
+              {defRating != null && <> · Def. Rating: <strong>{Math.round(defRating)}</strong></>}
             </div>
+            {statTotals && (
+              <div style={{ color: "#666", marginTop: 2 }}>
+                {STAT_KEYS.map((key, i) => (
+                  <React.Fragment key={key}>
+                    {i > 0 && " · "}
+                    {STAT_HEADERS[key].title}: <strong>{statTotals[key]}</strong>
+                  </React.Fragment>
+                ))}
+              </div>
+            )}
+            {attendance && (
+              <div style={{ color: "#666", marginTop: 2 }}>
+                Attended: <strong>{attendance.attended}</strong> / {attendance.held} · Streak: <strong>{attendance.currentStreak}</strong> (longest{" "}
+                {attendance.longestStreak}) · Last seen: <strong>{attendance.lastSeen}</strong>
+              </div>
+            )}
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            {rows.length > 0 && <button type="button" onClick={exportCsv} style={exportBtn}>Export CSV</button>}
+            <button type="button" onClick={onClose} style={closeBtn} aria-label="Close">×</button>
           </div>
-          <button type="button" onClick={onClose} style={closeBtn} aria-label="Close">×</button>
         </header>
 
         {rows.length === 0 ? (
           <div style={{ padding: 16, color: "#555" }}>No practices found for this player.</div>
         ) : (
-          <div style={{ padding: 8, overflow: "auto", maxHeight: "60vh" }}>
-            <table style={{ width: "100%", borderCollapse: "collapse" }}>
-              <thead>
-                <tr>
-                  <TH>Date</TH>
-                  <TH>Scores</TH>
-                  <TH>Reps</TH>
-                  <TH>Rate</TH>
-                </tr>
-              </thead>
-              <tbody>
-                {rows.map((r) => (
-                  <tr className="row" key={r.date} onClick={() => setSelectedPractice(r.date)}>
-                    <TD>{r.date}</TD>
-                    <TD >{r.scores}</TD>
-                    <TD >{r.reps}</TD>
-                    <TD ><strong>{formatPct(r.pct)}</strong></TD>
+          <div style={{ overflow: "auto", maxHeight: "70vh" }}>
+            <RatingChart history={history} />
+            <div style={{ padding: 8 }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <TH>Date</TH>
+                    <TH>{drill.metrics.successes.label}</TH>
+                    <TH>{drill.metrics.attempts.label}</TH>
+                    <TH>Rate</TH>
+                    <TH>w<sub>i</sub></TH>
+                    <TH>ΔR</TH>
+                    <TH>±</TH>
+                    <TH>Allowed</TH>
+                    {statTotals && STAT_KEYS.map((key) => (
+                      <TH key={key}><abbr title={STAT_HEADERS[key].title}>{STAT_HEADERS[key].short}</abbr></TH>
+                    ))}
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody>
+                  {rows.map((r) => (
+                    <tr className="row" key={r.date} onClick={() => setSelectedPractice(r.date)}>
+                      <TD>{r.date}</TD>
+                      <TD >{r.scores}</TD>
+                      <TD >{r.reps}</TD>
+                      <TD ><strong>{formatPct(r.pct)}</strong></TD>
+                      <TD>{historyByDate.get(r.date)?.decay.toFixed(2) ?? "—"}</TD>
+                      <TD>
+                        {formatDelta(historyByDate.get(r.date)?.delta)}
+                        {Math.round(historyByDate.get(r.date)?.pulled || 0) !== 0 && (
+                          <small style={{ color: "#888" }} title={`Missed ${historyByDate.get(r.date).missed} practices before this one`}>
+                            {" "}(absence {formatDelta(historyByDate.get(r.date).pulled)})
+                          </small>
+                        )}
+                      </TD>
+                      <TD>{historyByDate.has(r.date) ? `±${Math.round(CONSERVATIVE_Z * historyByDate.get(r.date).rd)}` : "—"}</TD>
+                      <TD>{r.defReps > 0 ? `${r.allowed} / ${r.defReps} (${formatPct(r.allowed / r.defReps)})` : "—"}</TD>
+                      {statTotals && STAT_KEYS.map((key) => <TD key={key}>{r.line ? r.line[key] : "—"}</TD>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
           </div>
         )}
       </div>
@@ -125,10 +269,22 @@ export default function PlayerDetails({ open, onClose, player, practices = [], r
 
 // ---------- helpers ----------
 
+const STAT_HEADERS = {
+  goals: { short: "G", title: "Goals" },
+  assists: { short: "A", title: "Assists" },
+  throwaways: { short: "TA", title: "Throwaways" },
+  drops: { short: "D", title: "Drops" },
+};
+
 function formatPct(p) {
   return (p * 100).toFixed(1) + "%";
 }
 
+function formatDelta(d) {
+  if (d == null) return "—";
+  return (d >= 0 ? "+" : "") + d.toFixed(1);
+}
+
 // ---------- styles ----------
 
 const overlay = {
@@ -158,6 +314,14 @@ const modalHeader = {
   borderBottom: "1px solid #eee",
 };
 
+const exportBtn = {
+  border: "1px solid #ddd",
+  background: "#f8f8f8",
+  borderRadius: 6,
+  padding: "4px 10px",
+  fontSize: 13,
+  cursor: "pointer",
+};
 const closeBtn = {
   border: "none",
   background: "transparent",
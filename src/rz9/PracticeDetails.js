@@ -1,4 +1,9 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { normalizePractice, playerName, EMPTY_ROSTER } from "./rz9Utils";
+import { getDataSource, getPractice } from "./dataSource";
+import { DEFAULT_DRILL, fromDrillPractice } from "./drills";
+import ValidationPanel from "./ValidationPanel";
+import { validatePractice } from "./validatePractice";
 
 /**
  * PracticeDetails — popup modal showing per-team details for a single practice
@@ -7,14 +12,24 @@ import React, { useEffect, useMemo, useState } from "react";
  * - open: boolean
  * - onClose: () => void
  * - practiceDate: string (YYYY-MM-DD)
+ * - season: string (season id the practice belongs to)
+ * - roster: registry from buildRoster; roster entries are resolved to player ids
+ * - drill: the drill the practice belongs to (drills.js; default Red Zone 9s),
+ *   for its data source and column labels
+ * - setSelectedPlayer: (id) => void   opens that player's details
  *
  * Behavior:
- * - When opened, fetches `/rz9_data/${practiceDate}.json` from the PUBLIC folder
- *   (e.g., `public/rz9_data/2025-09-03.json`).
- * - Renders a table with one row per team: Team, Players, Scores, Reps, Rate.
+ * - When opened, reads `${practiceDate}.json` from the practice store if the
+ *   leaderboard already loaded it, otherwise from the configured data source
+ *   (by default the PUBLIC folder, e.g. `public/rz9_data/2025/2025-09-03.json`).
+ * - Renders a table with one row per team: Team, Players, Scores, Reps, Rate
+ *   (or the drill's names for them).
+ *   When results record a defending_team_id, Team and Defended by columns are shown.
+ * - When the practice has a rep log, lists the reps in order with their
+ *   outcome, scorer/assist and each team's running total.
  */
 
-export default function PracticeDetails({ open, onClose, practiceDate, rankings, setSelectedPlayer, setSelectedPractice }) {
+export default function PracticeDetails({ open, onClose, practiceDate, season, roster = EMPTY_ROSTER, drill = DEFAULT_DRILL, rankings, setSelectedPlayer }) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -29,16 +44,14 @@ export default function PracticeDetails({ open, onClose, practiceDate, rankings,
 
   // Fetch the practice JSON when opened and date changes
   useEffect(() => {
-    if (!open || !practiceDate) return;
+    if (!open || !practiceDate || !season) return;
     let cancelled = false;
     setLoading(true);
     setError(null);
 
     (async () => {
       try {
-        const res = await fetch(`/rz9_data/${practiceDate}.json`, { cache: "no-store" });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
+        const json = await getPractice(getDataSource(undefined, drill), `${practiceDate}.json`, season);
         if (!cancelled) setData(json);
       } catch (e) {
         if (!cancelled) setError(`Failed to load ${practiceDate}.json`);
@@ -48,9 +61,20 @@ export default function PracticeDetails({ open, onClose, practiceDate, rankings,
     })();
 
     return () => { cancelled = true; };
-  }, [open, practiceDate]);
+  }, [open, practiceDate, season, drill]);
 
-  const rows = useMemo(() => buildRows(data), [data]);
+  const normalized = useMemo(() => normalizePractice(fromDrillPractice(data, drill), roster), [data, roster, drill]);
+  const rows = useMemo(() => buildRows(normalized), [normalized]);
+  const repRows = useMemo(() => buildRepRows(normalized), [normalized]);
+  const hasMatchups = rows.some((r) => r.defendingTeamId != null);
+  const teamCount = new Set(rows.map((r) => r.teamId)).size;
+  const issues = useMemo(
+    () =>
+      data
+        ? validatePractice(data, { file: `${practiceDate}.json`, roster: roster.players.length ? roster : null, metrics: drill.metrics })
+        : [],
+    [data, practiceDate, roster, drill]
+  );
 
   const totals = useMemo(() => {
     let reps = 0, scores = 0;
@@ -74,7 +98,7 @@ export default function PracticeDetails({ open, onClose, practiceDate, rankings,
               ) : error ? (
                 <span style={{ color: "crimson" }}>{error}</span>
               ) : (
-                <>Teams: <strong>{rows.length}</strong> · Overall: <strong>{totals.scores}</strong> / <strong>{totals.reps}</strong> ({formatPct(totals.pct)})</>
+                <>Teams: <strong>{teamCount}</strong> · Overall: <strong>{totals.scores}</strong> / <strong>{totals.reps}</strong> ({formatPct(totals.pct)})</>
               )}
             </div>
           </div>
@@ -89,25 +113,29 @@ export default function PracticeDetails({ open, onClose, practiceDate, rankings,
           <div style={{ padding: 16, color: "#555" }}>No practice data.</div>
         ) : (
           <div style={{ padding: 8, overflow: "auto", maxHeight: "70vh" }}>
+            <ValidationPanel issues={issues} />
             <table style={{ width: "100%", borderCollapse: "collapse" }}>
               <thead>
                 <tr>
+                  {hasMatchups && <TH>Team</TH>}
                   <TH>Players</TH>
-                  <TH>Scores</TH>
-                  <TH>Reps</TH>
+                  <TH>{drill.metrics.successes.label}</TH>
+                  <TH>{drill.metrics.attempts.label}</TH>
                   <TH>Rate</TH>
+                  {hasMatchups && <TH>Defended by</TH>}
                 </tr>
               </thead>
               <tbody>
                 {rows.map((r) => (
                   <TR key={r.key}>
+                    {hasMatchups && <TD>{r.teamLabel}</TD>}
                     <TD>
                       <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
                         {r.roster.length === 0 ? (
                           <span style={{ color: "#888" }}>—</span>
                         ) : (
                           r.roster.map((p) => (
-                            <div className="player-pill" onClick={() => {setSelectedPlayer(p); setSelectedPractice(null)}} key={p} style={pill}>{p} ({rankings[p]})</div>
+                            <div className="player-pill" onClick={() => setSelectedPlayer(p)} key={p} style={pill}>{playerName(roster, p)} ({rankings[p]})</div>
                           ))
                         )}
                       </div>
@@ -115,10 +143,41 @@ export default function PracticeDetails({ open, onClose, practiceDate, rankings,
                     <TD >{r.scores}</TD>
                     <TD >{r.reps}</TD>
                     <TD ><strong>{formatPct(r.pct)}</strong></TD>
+                    {hasMatchups && <TD>{r.defendingTeamId ?? "—"}</TD>}
                   </TR>
                 ))}
               </tbody>
             </table>
+
+            {repRows.length > 0 && (
+              <>
+                <h3 style={{ margin: "16px 8px 4px", fontSize: 16 }}>Rep sequence</h3>
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr>
+                      <TH>#</TH>
+                      <TH>Team</TH>
+                      <TH>Outcome</TH>
+                      <TH>Scorer</TH>
+                      <TH>Assist</TH>
+                      <TH>Team total</TH>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {repRows.map((r) => (
+                      <TR key={r.n}>
+                        <TD>{r.n}</TD>
+                        <TD>{r.teamId}</TD>
+                        <TD><span style={{ ...outcomeBadge, background: OUTCOME_COLORS[r.outcome] || "#868e96" }}>{r.outcome}</span></TD>
+                        <TD>{r.scorer ? <span className="player-pill" onClick={() => setSelectedPlayer(r.scorer)} style={pill}>{playerName(roster, r.scorer)}</span> : "—"}</TD>
+                        <TD>{r.assist ? <span className="player-pill" onClick={() => setSelectedPlayer(r.assist)} style={pill}>{playerName(roster, r.assist)}</span> : "—"}</TD>
+                        <TD>{r.scores} / {r.reps}</TD>
+                      </TR>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
           </div>
         )}
       </div>
@@ -126,26 +185,28 @@ export default function PracticeDetails({ open, onClose, practiceDate, rankings,
   );
 }
 
+// One row per matchup: a team with results against several defenders gets a
+// row for each; a team without results gets one empty row
 function buildRows(practice) {
   if (!practice) return [];
   const teams = Array.isArray(practice.teams) ? practice.teams : [];
   const results = Array.isArray(practice.results) ? practice.results : [];
 
-  const resultByTeam = new Map();
+  const resultsByTeam = new Map();
   for (const r of results) {
     if (!r) continue;
-    resultByTeam.set(r.team_id, {
+    if (!resultsByTeam.has(r.team_id)) resultsByTeam.set(r.team_id, []);
+    resultsByTeam.get(r.team_id).push({
       reps: Number(r.reps || 0),
       scores: Number(r.scores || 0),
+      defendingTeamId: r.defending_team_id ?? null,
     });
   }
 
-  const rows = teams.map((t) => {
-    const res = resultByTeam.get(t.team_id) || { reps: 0, scores: 0 };
-    const reps = res.reps;
-    const scores = res.scores;
-    return {
-      key: t.team_id,
+  const rows = teams.flatMap((t) => {
+    const matchups = resultsByTeam.get(t.team_id) || [{ reps: 0, scores: 0, defendingTeamId: null }];
+    return matchups.map(({ reps, scores, defendingTeamId }) => ({
+      key: `${t.team_id}|${defendingTeamId ?? ""}`,
       teamId: t.team_id,
       teamLabel: String(t.team_id),
       teamName: t.name || "",
@@ -153,19 +214,40 @@ function buildRows(practice) {
       reps,
       scores,
       pct: reps > 0 ? scores / reps : 0,
-    };
+      defendingTeamId,
+    }));
   });
 
-  // Sort by team id lexicographically (A, B, C,...)
+  // Sort by team id lexicographically (A, B, C,...), keeping each team's matchups in file order
   rows.sort((a, b) => String(a.teamId).localeCompare(String(b.teamId)));
 
   return rows;
 }
 
+// Reps in logged order with each team's running scores / reps
+function buildRepRows(practice) {
+  if (!practice || !Array.isArray(practice.reps)) return [];
+  const running = new Map();
+  return practice.reps.filter(Boolean).map((r, i) => {
+    const t = running.get(r.team_id) || { reps: 0, scores: 0 };
+    const next = { reps: t.reps + 1, scores: t.scores + (r.outcome === "score" ? 1 : 0) };
+    running.set(r.team_id, next);
+    return { n: i + 1, teamId: r.team_id, outcome: r.outcome, scorer: r.scorer ?? null, assist: r.assist ?? null, ...next };
+  });
+}
+
 function formatPct(p) { return (p * 100).toFixed(1) + "%"; }
 
 // ---------- styles ----------
 
+const OUTCOME_COLORS = { score: "#2f9e44", turnover: "#d9480f", drop: "#868e96" };
+const outcomeBadge = {
+  color: "#fff",
+  borderRadius: 9999,
+  padding: "2px 8px",
+  fontSize: 12,
+};
+
 const overlay = {
   position: "fixed",
   inset: 0,
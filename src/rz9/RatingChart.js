@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+
+/**
+ * RatingChart — SVG timeline of a player's Elo replay
+ *
+ * Props:
+ * - history: Array from computeRatingHistory(rows) (oldest first)
+ *
+ * Draws the rating R after each practice against the left axis, and the
+ * expected rate E(R) and actual rate r_i against the right axis (0–100%).
+ * Hovering a practice shows its decay weight w_i and rating change ΔR.
+ */
+
+const W = 720;
+const H = 260;
+const PAD = { top: 16, right: 48, bottom: 32, left: 56 };
+
+export default function RatingChart({ history = [] }) {
+  const [hover, setHover] = useState(null);
+
+  if (history.length === 0) return null;
+
+  const ratings = [history[0].before, ...history.map((h) => h.rating)];
+  let lo = Math.min(...ratings);
+  let hi = Math.max(...ratings);
+  if (hi - lo < 20) {
+    const mid = (hi + lo) / 2;
+    lo = mid - 10;
+    hi = mid + 10;
+  }
+
+  const innerW = W - PAD.left - PAD.right;
+  const innerH = H - PAD.top - PAD.bottom;
+  const step = history.length > 1 ? innerW / (history.length - 1) : 0;
+
+  const x = (i) => PAD.left + (history.length > 1 ? i * step : innerW / 2);
+  const yRating = (R) => PAD.top + innerH - ((R - lo) / (hi - lo)) * innerH;
+  const yRate = (p) => PAD.top + innerH - p * innerH;
+
+  const path = (fn) => history.map((h, i) => `${i === 0 ? "M" : "L"}${x(i)},${fn(h)}`).join(" ");
+
+  const ratingTicks = [lo, (lo + hi) / 2, hi];
+  const rateTicks = [0, 0.5, 1];
+  const active = hover != null ? history[hover] : null;
+
+  return (
+    <div style={{ padding: "8px 16px 0" }}>
+      <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", display: "block" }} role="img" aria-label="Rating history">
+        {/* axes */}
+        <line x1={PAD.left} y1={PAD.top + innerH} x2={W - PAD.right} y2={PAD.top + innerH} stroke="#ddd" />
+        {ratingTicks.map((t) => (
+          <g key={`r${t}`}>
+            <line x1={PAD.left} y1={yRating(t)} x2={W - PAD.right} y2={yRating(t)} stroke="#f2f2f2" />
+            <text x={PAD.left - 6} y={yRating(t) + 4} textAnchor="end" fontSize={11} fill={COLORS.rating}>{Math.round(t)}</text>
+          </g>
+        ))}
+        {rateTicks.map((t) => (
+          <text key={`p${t}`} x={W - PAD.right + 6} y={yRate(t) + 4} fontSize={11} fill="#888">{Math.round(t * 100)}%</text>
+        ))}
+
+        {/* series */}
+        <path d={path((h) => yRate(h.expected))} fill="none" stroke={COLORS.expected} strokeWidth={1.5} strokeDasharray="4 3" />
+        <path d={path((h) => yRating(h.rating))} fill="none" stroke={COLORS.rating} strokeWidth={2} />
+
+        {history.map((h, i) => (
+          <g key={h.date} onMouseEnter={() => setHover(i)} onMouseLeave={() => setHover(null)}>
+            <title>{`${h.date} · r = ${formatPct(h.pct)} · E(R) = ${formatPct(h.expected)} · w = ${h.decay.toFixed(2)} · ΔR = ${formatDelta(h.delta)}`}</title>
+            <rect x={x(i) - Math.max(step, 16) / 2} y={PAD.top} width={Math.max(step, 16)} height={innerH} fill={hover === i ? "#f5f8ff" : "transparent"} />
+            <circle cx={x(i)} cy={yRate(h.pct)} r={4} fill={COLORS.actual} />
+            <circle cx={x(i)} cy={yRating(h.rating)} r={3.5} fill={COLORS.rating} />
+            <text x={x(i)} y={H - 10} textAnchor="middle" fontSize={10} fill="#888">{h.date.slice(5)}</text>
+          </g>
+        ))}
+      </svg>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 16, fontSize: 13, color: "#555", minHeight: 20 }}>
+        {active ? (
+          <>
+            <span><strong>{active.date}</strong></span>
+            <span>r<sub>i</sub> = {formatPct(active.pct)}</span>
+            <span>E(R) = {formatPct(active.expected)}</span>
+            <span>w<sub>i</sub> = {active.decay.toFixed(2)}</span>
+            <span>ΔR = <strong style={{ color: active.delta >= 0 ? "seagreen" : "crimson" }}>{formatDelta(active.delta)}</strong></span>
+            <span>R = {Math.round(active.rating)}</span>
+          </>
+        ) : (
+          <>
+            <Legend color={COLORS.rating}>Rating R</Legend>
+            <Legend color={COLORS.expected} dashed>Expected rate E(R)</Legend>
+            <Legend color={COLORS.actual} dot>Actual rate r<sub>i</sub></Legend>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Legend({ color, dashed, dot, children }) {
+  return (
+    <span style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+      {dot ? (
+        <span style={{ width: 8, height: 8, borderRadius: 9999, background: color }} />
+      ) : (
+        <span style={{ width: 18, borderTop: `2px ${dashed ? "dashed" : "solid"} ${color}` }} />
+      )}
+      {children}
+    </span>
+  );
+}
+
+// ---------- helpers ----------
+
+function formatPct(p) {
+  return (p * 100).toFixed(1) + "%";
+}
+
+function formatDelta(d) {
+  return (d >= 0 ? "+" : "") + d.toFixed(1);
+}
+
+const COLORS = {
+  rating: "#2b6cb0",
+  expected: "#dd6b20",
+  actual: "#38a169",
+};
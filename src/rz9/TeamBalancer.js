@@ -0,0 +1,219 @@
+import React, { useMemo, useState } from "react";
+import { formatPct, playerName } from "./rz9Utils";
+import { balanceTeams } from "./balanceUtils";
+
+/**
+ * TeamBalancer — proposes balanced rosters from who showed up
+ *
+ * Props:
+ * - roster: registry from buildRoster (players may carry position: "handler" | "cutter")
+ * - ratings: Map(player id -> current rating), from toLeaderboard
+ * - neutral: the ν those ratings were computed with, for the predicted rates
+ * - onApply: (rosters: string[][]) => void   fills Generate's team editors
+ *
+ * Check off attendance, pick a team count, add keep-together / keep-apart
+ * pairs, and mark handlers (defaults to the roster's position). "Balance"
+ * shows each proposed team's average rating and predicted scoring rate.
+ */
+
+export default function TeamBalancer({ roster, ratings, neutral, onApply }) {
+  const [attending, setAttending] = useState(() => new Set());
+  const [handlerOverrides, setHandlerOverrides] = useState(() => new Map()); // id -> boolean
+  const [teamCount, setTeamCount] = useState(2);
+  const [together, setTogether] = useState([]);
+  const [apart, setApart] = useState([]);
+  const [proposal, setProposal] = useState(null);
+
+  const players = useMemo(() => roster.players.filter((p) => p.active !== false || attending.has(p.id)), [roster, attending]);
+  const present = players.filter((p) => attending.has(p.id)).map((p) => p.id);
+
+  const isHandler = (id) => handlerOverrides.get(id) ?? roster.byId.get(id)?.position === "handler";
+
+  function toggleAttending(id) {
+    setAttending((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+    setProposal(null);
+  }
+
+  function runBalance() {
+    const handlers = new Set(present.filter(isHandler));
+    setProposal(balanceTeams(present, teamCount, { ratings, handlers, together, apart, neutral }));
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 8 }}>
+        <strong>Attendance ({present.length})</strong>
+        <button type="button" style={smallBtn} onClick={() => setAttending(new Set(players.map((p) => p.id)))}>All</button>
+        <button type="button" style={smallBtn} onClick={() => setAttending(new Set())}>None</button>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(210px, 1fr))", gap: 4 }}>
+        {players.map((p) => (
+          <div key={p.id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 14 }}>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, flex: 1 }}>
+              <input type="checkbox" checked={attending.has(p.id)} onChange={() => toggleAttending(p.id)} />
+              {p.name}
+            </label>
+            <button
+              type="button"
+              title="Handler"
+              aria-pressed={isHandler(p.id)}
+              onClick={() => setHandlerOverrides((prev) => new Map(prev).set(p.id, !isHandler(p.id)))}
+              style={{ ...smallBtn, ...(isHandler(p.id) ? selectedBtn : {}) }}
+            >
+              H
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", marginTop: 12 }}>
+        <PairList
+          title="Keep together"
+          pairs={together}
+          options={present}
+          roster={roster}
+          onChange={(pairs) => { setTogether(pairs); setProposal(null); }}
+        />
+        <PairList
+          title="Keep apart"
+          pairs={apart}
+          options={present}
+          roster={roster}
+          onChange={(pairs) => { setApart(pairs); setProposal(null); }}
+        />
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 12 }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 14 }}>
+          Teams
+          <select value={teamCount} onChange={(e) => { setTeamCount(parseInt(e.target.value, 10)); setProposal(null); }} style={select}>
+            {Array.from({ length: 9 }, (_, i) => i + 2).map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" onClick={runBalance} disabled={present.length < teamCount} style={button}>Balance</button>
+      </div>
+
+      {proposal && (
+        <div style={{ marginTop: 12 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <TH>Team</TH>
+                <TH>Players</TH>
+                <TH>Handlers</TH>
+                <TH>Avg rating</TH>
+                <TH>Predicted</TH>
+              </tr>
+            </thead>
+            <tbody>
+              {proposal.map((t, i) => (
+                <tr key={i}>
+                  <TD>{i + 1}</TD>
+                  <TD>{t.roster.map((id) => playerName(roster, id)).join(", ")}</TD>
+                  <TD>{t.handlers}</TD>
+                  <TD>{Math.round(t.rating)}</TD>
+                  <TD><strong>{formatPct(t.predicted)}</strong></TD>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button type="button" onClick={() => onApply(proposal.map((t) => t.roster))} style={{ ...button, marginTop: 8 }}>
+            Use these teams
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PairList({ title, pairs, options, roster, onChange }) {
+  const [a, setA] = useState("");
+  const [b, setB] = useState("");
+
+  function add() {
+    if (!a || !b || a === b) return;
+    onChange([...pairs, [a, b]]);
+    setA("");
+    setB("");
+  }
+
+  return (
+    <div style={{ minWidth: 280 }}>
+      <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 4 }}>{title}</div>
+      {pairs.map(([x, y], i) => (
+        <div key={`${x}-${y}-${i}`} style={{ fontSize: 14, display: "flex", alignItems: "center", gap: 6 }}>
+          {playerName(roster, x)} + {playerName(roster, y)}
+          <button type="button" style={smallBtn} aria-label="Remove" onClick={() => onChange(pairs.filter((_, j) => j !== i))}>×</button>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+        <PlayerSelect value={a} onChange={setA} options={options} roster={roster} />
+        <PlayerSelect value={b} onChange={setB} options={options} roster={roster} />
+        <button type="button" style={smallBtn} onClick={add} disabled={!a || !b || a === b}>Add</button>
+      </div>
+    </div>
+  );
+}
+
+function PlayerSelect({ value, onChange, options, roster }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={select}>
+      <option value="">—</option>
+      {options.map((id) => (
+        <option key={id} value={id}>{playerName(roster, id)}</option>
+      ))}
+    </select>
+  );
+}
+
+// ---------- styles ----------
+
+const button = {
+  padding: "8px 14px",
+  border: "1px solid #7ab8ff",
+  background: "#e6f3ff",
+  borderRadius: 6,
+  fontSize: 14,
+  cursor: "pointer",
+};
+const smallBtn = {
+  border: "1px solid #ddd",
+  background: "#f8f8f8",
+  borderRadius: 6,
+  padding: "2px 8px",
+  fontSize: 12,
+  cursor: "pointer",
+};
+const selectedBtn = {
+  background: "#e6f3ff",
+  borderColor: "#7ab8ff",
+};
+const select = {
+  padding: "4px 6px",
+  border: "1px solid #ddd",
+  borderRadius: 6,
+  fontSize: 14,
+};
+
+function TH({ children }) {
+  return (
+    <th style={{ textAlign: "left", borderBottom: "2px solid #ddd", padding: "8px", fontWeight: 600, fontSize: 14 }}>
+      {children}
+    </th>
+  );
+}
+function TD({ children }) {
+  return (
+    <td style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: "8px", verticalAlign: "top" }}>
+      {children}
+    </td>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+
+/**
+ * ValidationPanel — lists practice data problems grouped by file
+ *
+ * Props:
+ * - issues: Array<{ file, field, message }> (from validatePractice, or load failures)
+ * - title: string (optional heading)
+ *
+ * Renders nothing when there are no issues.
+ */
+
+export default function ValidationPanel({ issues = [], title = "Data warnings" }) {
+  const [open, setOpen] = useState(true);
+  if (issues.length === 0) return null;
+
+  const byFile = new Map();
+  for (const issue of issues) {
+    const key = issue.file || "";
+    if (!byFile.has(key)) byFile.set(key, []);
+    byFile.get(key).push(issue);
+  }
+
+  return (
+    <div role="alert" style={panel}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+        <strong>⚠️ {title} ({issues.length})</strong>
+        <button type="button" onClick={() => setOpen((o) => !o)} style={toggleBtn}>
+          {open ? "Hide" : "Show"}
+        </button>
+      </div>
+      {open && (
+        <ul style={{ margin: "8px 0 0", paddingLeft: 18 }}>
+          {[...byFile.entries()].map(([file, list]) => (
+            <li key={file} style={{ marginBottom: 6 }}>
+              {file && <code>{file}</code>}
+              <ul style={{ margin: "2px 0 0", paddingLeft: 18 }}>
+                {list.map((issue, i) => (
+                  <li key={i}>
+                    {issue.field && <code style={fieldStyle}>{issue.field}</code>} {issue.message}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ---------- styles ----------
+
+const panel = {
+  border: "1px solid #f0c36d",
+  background: "#fff8e6",
+  color: "#5c4300",
+  borderRadius: 8,
+  padding: "10px 12px",
+  margin: "12px 0",
+  fontSize: 14,
+};
+
+const toggleBtn = {
+  border: "1px solid #e0b24f",
+  background: "transparent",
+  borderRadius: 6,
+  padding: "2px 8px",
+  fontSize: 12,
+  cursor: "pointer",
+};
+
+const fieldStyle = {
+  background: "#fdecc8",
+  borderRadius: 4,
+  padding: "0 4px",
+};
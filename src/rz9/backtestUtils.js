@@ -0,0 +1,185 @@
+import {
+  aggregatePlayerStats,
+  computePlayerRating,
+  expectedPct,
+  INITIAL,
+  NEUTRAL,
+  MU,
+  HALF_LIFE,
+  WIDTH,
+  STEP,
+} from "./rz9Utils";
+
+export const DEFAULT_PARAMS = { halfLifeDays: HALF_LIFE, K: STEP, mu: MU, width: WIDTH, neutral: NEUTRAL };
+
+// Candidate values tried by fitRatingParams, one list per parameter.
+// halfLifeDays = 0 means no decay.
+export const SEARCH_SPACE = {
+  halfLifeDays: [0, 7, 14, 21, 35, 60, 120],
+  K: [25, 50, 100, 200, 400, 800, 1600],
+  width: [1000, 2500, 5000, 10000, 20000, 40000],
+  neutral: [0.45, 0.5, 0.555, 0.6, 0.65, 0.7, 0.75],
+};
+
+const CALIBRATION_BINS = 10;
+const EPS = 1e-6;
+
+/**
+ * Walks the practices in date order. Before each practice, every player's
+ * rating is computed from their earlier practices only (decay measured from
+ * that practice's date), and each team's scoring rate is predicted as
+ * E(mean roster rating). Predictions are scored per rep:
+ *
+ * - logLoss: −mean[y log p + (1−y) log(1−p)]
+ * - brier:   mean[(y − p)²]
+ * - calibration: reps bucketed by p, with mean p vs observed rate
+ *
+ * `baseline` scores the same reps against the league rate so far (ν before
+ * the first practice), so the rating model has something to beat.
+ */
+export function backtestRatings(practices, params = DEFAULT_PARAMS) {
+  const sorted = [...(practices || [])]
+    .filter((p) => p && p.date && Array.isArray(p.teams) && Array.isArray(p.results))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const predictions = [];
+  let seenReps = 0;
+  let seenScores = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    const p = sorted[i];
+    const before = aggregatePlayerStats(sorted.slice(0, i));
+    const ratingOf = (player) => {
+      const entries = before.get(player)?.practices;
+      return entries ? computePlayerRating(entries, { ...params, today: p.date }) : INITIAL;
+    };
+
+    const teamRoster = new Map();
+    for (const t of p.teams) teamRoster.set(t.team_id, Array.isArray(t.roster) ? t.roster : []);
+
+    const leagueRate = seenReps > 0 ? seenScores / seenReps : params.neutral ?? NEUTRAL;
+
+    for (const r of p.results) {
+      const reps = Number(r.reps || 0);
+      const scores = Number(r.scores || 0);
+      const roster = teamRoster.get(r.team_id) || [];
+      if (reps <= 0 || roster.length === 0) continue;
+
+      const meanRating = roster.reduce((sum, pl) => sum + ratingOf(pl), 0) / roster.length;
+      predictions.push({
+        date: p.date,
+        teamId: r.team_id,
+        roster,
+        reps,
+        scores,
+        actual: scores / reps,
+        predicted: expectedPct(meanRating, params),
+        baseline: leagueRate,
+      });
+    }
+
+    for (const r of p.results) {
+      seenReps += Number(r.reps || 0);
+      seenScores += Number(r.scores || 0);
+    }
+  }
+
+  return {
+    predictions,
+    ...scorePredictions(predictions, "predicted"),
+    baseline: scorePredictions(predictions, "baseline"),
+  };
+}
+
+function scorePredictions(predictions, key) {
+  let reps = 0;
+  let logLoss = 0;
+  let brier = 0;
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    lo: i / CALIBRATION_BINS,
+    hi: (i + 1) / CALIBRATION_BINS,
+    reps: 0,
+    scores: 0,
+    predictedSum: 0,
+  }));
+
+  for (const pr of predictions) {
+    const p = Math.min(1 - EPS, Math.max(EPS, pr[key]));
+    const misses = pr.reps - pr.scores;
+    reps += pr.reps;
+    logLoss -= pr.scores * Math.log(p) + misses * Math.log(1 - p);
+    brier += pr.scores * (1 - p) ** 2 + misses * p ** 2;
+
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(p * CALIBRATION_BINS))];
+    bin.reps += pr.reps;
+    bin.scores += pr.scores;
+    bin.predictedSum += p * pr.reps;
+  }
+
+  return {
+    reps,
+    logLoss: reps > 0 ? logLoss / reps : NaN,
+    brier: reps > 0 ? brier / reps : NaN,
+    calibration: bins
+      .filter((b) => b.reps > 0)
+      .map((b) => ({ lo: b.lo, hi: b.hi, reps: b.reps, predicted: b.predictedSum / b.reps, observed: b.scores / b.reps })),
+  };
+}
+
+/**
+ * Coordinate search over SEARCH_SPACE minimizing backtest log-loss: each
+ * round tries every candidate for one parameter at a time, keeping the best,
+ * until a round changes nothing. Returns { params, result, evaluations }.
+ */
+export function fitRatingParams(practices, options = {}) {
+  const steps = searchSteps(practices, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+/**
+ * The same search, handing the main thread back every `chunk` backtests so
+ * the page stays responsive. onProgress(evaluations) is called at each pause;
+ * an aborted `signal` stops the search and resolves to null.
+ */
+export async function fitRatingParamsAsync(practices, { chunk = 5, onProgress, signal, ...options } = {}) {
+  const steps = searchSteps(practices, options);
+  for (let step = steps.next(); ; step = steps.next()) {
+    if (step.done) return step.value;
+    if (step.value % chunk !== 0) continue;
+    onProgress?.(step.value);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (signal?.aborted) return null;
+  }
+}
+
+// The search as a generator: yields the number of backtests run after each
+// one, returns { params, result, evaluations }
+function* searchSteps(practices, { start = DEFAULT_PARAMS, space = SEARCH_SPACE, maxRounds = 5 } = {}) {
+  let params = { ...start };
+  let result = backtestRatings(practices, params);
+  let evaluations = 1;
+  yield evaluations;
+
+  for (let round = 0; round < maxRounds; round++) {
+    let improved = false;
+    for (const [key, candidates] of Object.entries(space)) {
+      for (const value of candidates) {
+        if (value === params[key]) continue;
+        const trial = { ...params, [key]: value };
+        const res = backtestRatings(practices, trial);
+        evaluations++;
+        if (res.logLoss < result.logLoss - 1e-9) {
+          params = trial;
+          result = res;
+          improved = true;
+        }
+        yield evaluations;
+      }
+    }
+    if (!improved) break;
+  }
+
+  return { params, result, evaluations };
+}
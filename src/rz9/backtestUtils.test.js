@@ -0,0 +1,45 @@
+import { backtestRatings, fitRatingParams, fitRatingParamsAsync, DEFAULT_PARAMS } from './backtestUtils';
+import { NEUTRAL } from './rz9Utils';
+
+const practice = (date, a, b) => ({
+  date,
+  teams: [{ team_id: 'A', roster: ['X', 'Y'] }, { team_id: 'B', roster: ['Z', 'W'] }],
+  results: [{ team_id: 'A', reps: 10, scores: a }, { team_id: 'B', reps: 10, scores: b }],
+});
+const practices = [
+  practice('2025-09-09', 9, 4),
+  practice('2025-09-04', 8, 3),
+  practice('2025-09-13', 9, 5),
+];
+
+test('predictions only use earlier practices', () => {
+  const { predictions, reps, logLoss, brier } = backtestRatings(practices);
+
+  expect(predictions.map((p) => p.date)).toEqual([
+    '2025-09-04', '2025-09-04', '2025-09-09', '2025-09-09', '2025-09-13', '2025-09-13',
+  ]);
+  // nobody has a rating before the first practice
+  expect(predictions[0].predicted).toBeCloseTo(NEUTRAL);
+  expect(predictions[1].predicted).toBeCloseTo(NEUTRAL);
+  expect(predictions[2].predicted).toBeGreaterThan(predictions[3].predicted);
+  expect(reps).toBe(60);
+  expect(logLoss).toBeGreaterThan(0);
+  expect(brier).toBeGreaterThan(0);
+});
+
+test('parameter search never does worse than where it started', () => {
+  const fit = fitRatingParams(practices, { maxRounds: 1 });
+  expect(fit.result.logLoss).toBeLessThanOrEqual(backtestRatings(practices, DEFAULT_PARAMS).logLoss);
+});
+
+test('the chunked search finds the same parameters and reports progress', async () => {
+  const progress = [];
+  const fit = await fitRatingParamsAsync(practices, { maxRounds: 1, chunk: 2, onProgress: (n) => progress.push(n) });
+
+  expect(fit).toEqual(fitRatingParams(practices, { maxRounds: 1 }));
+  expect(progress.length).toBeGreaterThan(1);
+
+  const controller = new AbortController();
+  controller.abort();
+  expect(await fitRatingParamsAsync(practices, { signal: controller.signal })).toBeNull();
+});
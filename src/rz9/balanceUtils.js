@@ -0,0 +1,176 @@
+import { expectedPct, INITIAL, NEUTRAL } from "./rz9Utils";
+
+// Cost weights: rating spread is in rating points², so one handler too many
+// or too few on a team costs about as much as 30 points of average rating.
+const HANDLER_WEIGHT = 900;
+const APART_PENALTY = 1e9;
+const MAX_PASSES = 50;
+
+/**
+ * Splits the attending players into `teamCount` rosters with similar average
+ * ratings.
+ *
+ * options:
+ * - ratings: Map(player -> rating); unrated players count as INITIAL
+ * - handlers: Set of players who handle, spread evenly across teams
+ * - together: [[a, b], ...] pairs kept on the same team
+ * - apart: [[a, b], ...] pairs kept on different teams (best effort)
+ * - neutral: the ν the ratings were computed with (a drill's own), for `predicted`
+ *
+ * Players tied by `together` move as one unit. Units are placed greedily
+ * (biggest and strongest first) and then improved by swapping same-size units
+ * or moving a unit while team sizes stay within one of each other.
+ *
+ * Returns [{ roster, rating, predicted, handlers }] in team order; `rating` is
+ * the mean roster rating and `predicted` its expected scoring rate E(R).
+ */
+export function balanceTeams(players, teamCount, { ratings = new Map(), handlers = new Set(), together = [], apart = [], neutral = NEUTRAL } = {}) {
+  const n = Math.max(1, teamCount | 0);
+  const ratingOf = (p) => ratings.get(p) ?? INITIAL;
+
+  const units = buildUnits(players, together).map((members) => ({
+    members,
+    rating: members.reduce((s, p) => s + ratingOf(p), 0),
+    handlers: members.filter((p) => handlers.has(p)).length,
+  }));
+
+  const apartPairs = apart.filter(([a, b]) => a !== b && players.includes(a) && players.includes(b));
+  const totalPlayers = players.length;
+  const targetHandlers = units.reduce((s, u) => s + u.handlers, 0) / n;
+  const meanRating = totalPlayers > 0 ? units.reduce((s, u) => s + u.rating, 0) / totalPlayers : INITIAL;
+
+  const cost = (teams) => {
+    let c = 0;
+    for (const t of teams) {
+      const size = t.reduce((s, u) => s + u.members.length, 0);
+      if (size > 0) {
+        const avg = t.reduce((s, u) => s + u.rating, 0) / size;
+        c += (avg - meanRating) ** 2;
+      }
+      const h = t.reduce((s, u) => s + u.handlers, 0);
+      c += HANDLER_WEIGHT * (h - targetHandlers) ** 2;
+
+      const members = new Set(t.flatMap((u) => u.members));
+      for (const [a, b] of apartPairs) {
+        if (members.has(a) && members.has(b)) c += APART_PENALTY;
+      }
+    }
+    return c;
+  };
+
+  const sizeOf = (t) => t.reduce((s, u) => s + u.members.length, 0);
+
+  // Greedy placement: each unit goes to the smallest team where it costs least
+  const teams = Array.from({ length: n }, () => []);
+  const order = units.slice().sort((a, b) => b.members.length - a.members.length || b.rating - a.rating);
+  for (const unit of order) {
+    const minSize = Math.min(...teams.map(sizeOf));
+    let best = null;
+    let bestCost = Infinity;
+    teams.forEach((t, i) => {
+      if (sizeOf(t) !== minSize) return;
+      t.push(unit);
+      const c = cost(teams);
+      t.pop();
+      if (c < bestCost) {
+        bestCost = c;
+        best = i;
+      }
+    });
+    teams[best].push(unit);
+  }
+
+  // Local search
+  let current = cost(teams);
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        for (let a = 0; a < teams[i].length; a++) {
+          for (let b = 0; b < teams[j].length; b++) {
+            const ua = teams[i][a];
+            const ub = teams[j][b];
+            if (ua.members.length !== ub.members.length) continue;
+            teams[i][a] = ub;
+            teams[j][b] = ua;
+            const c = cost(teams);
+            if (c < current - 1e-9) {
+              current = c;
+              improved = true;
+            } else {
+              teams[i][a] = ua;
+              teams[j][b] = ub;
+            }
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        for (let a = teams[i].length - 1; a >= 0; a--) {
+          const unit = teams[i][a];
+          const from = sizeOf(teams[i]) - unit.members.length;
+          const to = sizeOf(teams[j]) + unit.members.length;
+          const sizes = teams.map(sizeOf);
+          sizes[i] = from;
+          sizes[j] = to;
+          if (Math.max(...sizes) - Math.min(...sizes) > Math.max(1, maxUnitSize(units) - 1)) continue;
+          teams[i].splice(a, 1);
+          teams[j].push(unit);
+          const c = cost(teams);
+          if (c < current - 1e-9) {
+            current = c;
+            improved = true;
+          } else {
+            teams[j].pop();
+            teams[i].splice(a, 0, unit);
+          }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return teams.map((t) => {
+    const roster = t.flatMap((u) => u.members);
+    const rating = roster.length ? roster.reduce((s, p) => s + ratingOf(p), 0) / roster.length : INITIAL;
+    return {
+      roster,
+      rating,
+      predicted: expectedPct(rating, { neutral }),
+      handlers: roster.filter((p) => handlers.has(p)).length,
+    };
+  });
+}
+
+// Groups players linked by "together" pairs (union-find), in player order
+function buildUnits(players, together) {
+  const parent = new Map(players.map((p) => [p, p]));
+  const find = (p) => {
+    while (parent.get(p) !== p) {
+      parent.set(p, parent.get(parent.get(p)));
+      p = parent.get(p);
+    }
+    return p;
+  };
+  for (const [a, b] of together) {
+    if (!parent.has(a) || !parent.has(b)) continue;
+    parent.set(find(a), find(b));
+  }
+
+  const groups = new Map();
+  for (const p of players) {
+    const root = find(p);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(p);
+  }
+  return [...groups.values()];
+}
+
+function maxUnitSize(units) {
+  return units.reduce((m, u) => Math.max(m, u.members.length), 1);
+}
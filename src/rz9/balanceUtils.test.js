@@ -0,0 +1,31 @@
+import { balanceTeams } from './balanceUtils';
+
+const players = ['a', 'b', 'c', 'd', 'e', 'f'];
+const ratings = new Map([['a', 1300], ['b', 1200], ['c', 1100], ['d', 900], ['e', 800], ['f', 700]]);
+const teamOf = (teams, p) => teams.findIndex((t) => t.roster.includes(p));
+
+test('teams are even in size and close in average rating', () => {
+  const teams = balanceTeams(players, 2, { ratings });
+
+  expect(teams.map((t) => t.roster.length)).toEqual([3, 3]);
+  expect(Math.abs(teams[0].rating - teams[1].rating)).toBeLessThanOrEqual(100 / 3 + 1e-9);
+  expect(teams[0].predicted).toBeGreaterThan(0);
+  expect(balanceTeams(['a', 'f'], 1, { ratings, neutral: 0.5 })[0].predicted).toBeCloseTo(0.5);
+});
+
+test('together and apart pairs are respected', () => {
+  const teams = balanceTeams(players, 2, {
+    ratings,
+    together: [['a', 'b']],
+    apart: [['c', 'd']],
+  });
+
+  expect(teamOf(teams, 'a')).toBe(teamOf(teams, 'b'));
+  expect(teamOf(teams, 'c')).not.toBe(teamOf(teams, 'd'));
+});
+
+test('handlers are spread across teams', () => {
+  const teams = balanceTeams(players, 2, { ratings, handlers: new Set(['a', 'b']) });
+
+  expect(teams.map((t) => t.handlers)).toEqual([1, 1]);
+});
@@ -0,0 +1,119 @@
+import { resolvePlayer } from "./rz9Utils";
+
+// Spreadsheet rows pasted into Generate, one team per row:
+//   team, players, reps, scores[, defended by]
+// Players are separated by ";", "," or "|" inside their cell. Tab-separated
+// text (a copy from Google Sheets / Excel) and CSV both work; a header row is
+// skipped when its reps/scores cells aren't numbers.
+
+// Splits CSV or TSV text into rows of trimmed cells. Quoted cells may contain
+// the delimiter, newlines and doubled quotes ("").
+export function parseDelimited(text) {
+  const src = String(text || "").replace(/\r\n?/g, "\n");
+  const firstLine = src.split("\n").find((l) => l.trim() !== "") || "";
+  const delimiter = firstLine.includes("\t") ? "\t" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (ch === "\n") {
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
+
+// Turns pasted rows into a practice in the JSON format. Players are resolved
+// through the roster (names, aliases or ids); unknown names are kept as typed
+// so validatePractice can flag them. A team on several rows (one per defender)
+// is one team with a result per row. Returns { practice, problems } where
+// problems are human-readable strings for rows that couldn't be read, numbered
+// by their line in the pasted text.
+export function tableToPractice(text, { date, roster = null } = {}) {
+  const rows = parseDelimited(text);
+  const problems = [];
+  const isCount = (v) => /^\d+$/.test(v ?? "");
+
+  const hasHeader = rows.length > 0 && !(isCount(rows[0][2]) && isCount(rows[0][3]));
+  if (hasHeader) rows.shift();
+
+  const teams = [];
+  const results = [];
+  rows.forEach((cells, i) => {
+    const line = `Row ${i + (hasHeader ? 2 : 1)}`; // as pasted, header included
+    const [team, players = "", reps, scores, defender = ""] = cells;
+    if (!team) {
+      problems.push(`${line}: missing team`);
+      return;
+    }
+    if (!isCount(reps) || !isCount(scores)) {
+      problems.push(`${line}: reps and scores must be whole numbers`);
+      return;
+    }
+    const names = players.split(/[;,|\n]/).map((n) => n.trim()).filter(Boolean);
+    const ids = names.map((n) => (roster ? resolvePlayer(roster, n) ?? n : n));
+    const existing = teams.find((t) => t.team_id === team);
+    if (existing) existing.roster = [...new Set([...existing.roster, ...ids])];
+    else teams.push({ team_id: team, roster: [...new Set(ids)] });
+    results.push({
+      team_id: team,
+      reps: Number(reps),
+      scores: Number(scores),
+      ...(defender ? { defending_team_id: defender } : {}),
+    });
+  });
+
+  return { practice: { date: date || "YYYY-MM-DD", teams, results }, problems };
+}
+
+// Rows (arrays of cells) to CSV text, quoting cells that need it
+export function toCsv(rows) {
+  const escape = (v) => {
+    const s = v == null ? "" : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(escape).join(",")).join("\n") + "\n";
+}
+
+// Saves rows as a .csv download in the browser
+export function downloadCsv(filename, rows) {
+  downloadBlob(filename, new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8" }));
+}
+
+// Saves any Blob as a file download in the browser
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,38 @@
+import { parseDelimited, tableToPractice, toCsv } from './csvUtils';
+import { buildRoster } from './rz9Utils';
+
+test('CSV with quoted cells and TSV parse to the same rows', () => {
+  const csv = 'Team,Players,Reps,Scores\nA,"Sam G.; Walk On",10,7\n';
+  const tsv = 'Team\tPlayers\tReps\tScores\nA\tSam G., Walk On\t10\t7';
+
+  expect(parseDelimited(csv)).toEqual([['Team', 'Players', 'Reps', 'Scores'], ['A', 'Sam G.; Walk On', '10', '7']]);
+  expect(parseDelimited(tsv)[1]).toEqual(['A', 'Sam G., Walk On', '10', '7']);
+});
+
+test('pasted rows become a practice with roster ids', () => {
+  const roster = buildRoster([{ id: 'p1', name: 'Sam G.', aliases: ['Sam Granade'] }]);
+  const { practice, problems } = tableToPractice(
+    'Team\tPlayers\tReps\tScores\tDefended by\nA\tsam granade; Walk On\t10\t7\tB\nB\tPat\t10\t4\nC\tLee\tten\t3',
+    { date: '2025-09-04', roster }
+  );
+
+  expect(practice.teams).toEqual([{ team_id: 'A', roster: ['p1', 'Walk On'] }, { team_id: 'B', roster: ['Pat'] }]);
+  expect(practice.results[0]).toEqual({ team_id: 'A', reps: 10, scores: 7, defending_team_id: 'B' });
+  expect(problems).toEqual(['Row 4: reps and scores must be whole numbers']);
+});
+
+test('problems are numbered by their pasted line, with or without a header', () => {
+  expect(tableToPractice('Team\tPlayers\tReps\tScores\n\tPat\t5\t3').problems).toEqual(['Row 2: missing team']);
+  expect(tableToPractice('A\tPat\t5\t3\n\tLee\t5\t3').problems).toEqual(['Row 2: missing team']);
+});
+
+test('a team on several rows gets one result per defender', () => {
+  const { practice } = tableToPractice('A\tPat\t5\t3\tB\nA\t\t4\t1\tC\nB\tLee\t9\t4\nC\tKim\t9\t5');
+
+  expect(practice.teams.map((t) => t.team_id)).toEqual(['A', 'B', 'C']);
+  expect(practice.results.filter((r) => r.team_id === 'A').map((r) => r.defending_team_id)).toEqual(['B', 'C']);
+});
+
+test('CSV export quotes cells that need it', () => {
+  expect(toCsv([['Player', 'Note'], ['Sam', 'said "hi", left']])).toBe('Player,Note\nSam,"said ""hi"", left"\n');
+});
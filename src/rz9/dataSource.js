@@ -0,0 +1,157 @@
+import { fetchBundle, fetchManifest, fetchPractice, normalizePractice } from "./rz9Utils";
+import { validatePractice } from "./validatePractice";
+import { getStoredPractice, storePractice } from "./practiceStore";
+import { DEFAULT_DRILL, fromDrillPractice } from "./drills";
+
+/**
+ * dataSource — where practices are read from and written to
+ *
+ * Each source exposes (practices are scoped to a season id, e.g. "2025"):
+ * - list(season): Promise<string[]>   practice files ("YYYY-MM-DD.json")
+ * - load(file, season): Promise<Practice>
+ * - save(practice, season): Promise<void>   (null when the source is read-only)
+ * - bundle(season): Promise<{ [file]: Practice } | null>   every practice in
+ *   one request, when the source has one (null when it doesn't, and for the
+ *   static source in development)
+ * - drill: the drill (drills.js) whose practices it holds
+ *
+ * Sources:
+ * - "static"    public/<drill.dataPath>/<season>/manifest.json + one JSON file
+ *               per practice, or the optional bundle.json next to them
+ * - "firestore" <drill.collection>/<season>/practices, one document per date
+ *
+ * The active source is chosen by REACT_APP_RZ9_SOURCE (default "static").
+ * Firebase is imported lazily so the static site never loads it.
+ */
+
+function staticSource(drill) {
+  return {
+    name: "static",
+    drill,
+    list: (season) => fetchManifest(season, drill.dataPath),
+    load: (file, season) => fetchPractice(file, season, drill.dataPath),
+    save: null,
+    // practice files are edited by hand in development, so a bundle there is
+    // likely older than they are
+    bundle: process.env.NODE_ENV === "development" ? null : (season) => fetchBundle(season, drill.dataPath),
+  };
+}
+
+function firestoreSource(drill) {
+  return {
+    name: "firestore",
+    drill,
+
+    async list(season) {
+      const { db } = await import("../firebase");
+      const { collection, getDocs } = await import("firebase/firestore");
+      const snap = await getDocs(collection(db, drill.collection, season, "practices"));
+      return snap.docs.map((d) => `${d.id}.json`).sort();
+    },
+
+    async load(file, season) {
+      const { db } = await import("../firebase");
+      const { doc, getDoc } = await import("firebase/firestore");
+      const snap = await getDoc(doc(db, drill.collection, season, "practices", practiceId(file)));
+      if (!snap.exists()) throw new Error(`Practice load failed (${season}/${file}): not found`);
+      return snap.data();
+    },
+
+    async save(practice, season) {
+      if (!practice?.date) throw new Error("Practice has no date.");
+      if (!season) throw new Error("No season to save into.");
+      const { db } = await import("../firebase");
+      const { doc, setDoc } = await import("firebase/firestore");
+      await setDoc(doc(db, drill.collection, season, "practices", practice.date), practice);
+    },
+
+    bundle: null,
+  };
+}
+
+const SOURCES = {
+  static: staticSource,
+  firestore: firestoreSource,
+};
+
+export function getDataSource(name = process.env.REACT_APP_RZ9_SOURCE || "static", drill = DEFAULT_DRILL) {
+  const source = SOURCES[name];
+  if (!source) throw new Error(`Unknown data source "${name}"`);
+  return source(drill);
+}
+
+// Writes straight to Firestore regardless of the configured read source
+export function savePractice(practice, season, drill = DEFAULT_DRILL) {
+  return firestoreSource(drill).save(practice, season);
+}
+
+// Loads, validates and normalizes every practice in a season. Files are
+// fetched in parallel (the practice store limits how many at once), or all
+// come from the season's bundle when it holds exactly the listed files; a
+// bundle that doesn't was written before the file list changed, so it is
+// ignored rather than mixed with fresh files. Files that fail to load are
+// reported as issues rather than thrown. Loaded practices are kept in the
+// practice store for getPractice. Results come back as reps/scores whatever
+// the drill calls them.
+export async function loadSeasonPractices(source, season, roster) {
+  const drill = source.drill ?? DEFAULT_DRILL;
+  const [listed, fetchedBundle] = await Promise.all([
+    source.list(season),
+    source.bundle ? source.bundle(season).catch((e) => console.warn(e)) : null,
+  ]);
+  const files = Array.isArray(listed) ? listed : [];
+  const bundle = fetchedBundle && bundleMatches(fetchedBundle, files) ? fetchedBundle : null;
+  if (fetchedBundle && !bundle) console.warn(`${season}/bundle.json doesn't match the manifest; loading files instead.`);
+  const loaded = await Promise.all(
+    files.map(async (file) => {
+      try {
+        const data = bundle ? bundle[file] : await source.load(file, season);
+        storePractice(storeName(source), season, file, data);
+        return { file, data };
+      } catch (e) {
+        console.warn(e);
+        return { file, error: e };
+      }
+    })
+  );
+
+  const practices = [];
+  const issues = [];
+  for (const { file, data, error } of loaded) {
+    if (error) {
+      issues.push({ file: `${season}/${file}`, field: "", message: `Failed to load: ${error.message}` });
+      continue;
+    }
+    issues.push(
+      ...validatePractice(data, { file: `${season}/${file}`, roster: roster.players.length ? roster : null, metrics: drill.metrics })
+    );
+    practices.push(normalizePractice(fromDrillPractice(data, drill), roster));
+  }
+  practices.sort((a, b) => (a?.date || "").localeCompare(b?.date || ""));
+  return { practices, issues };
+}
+
+// A bundle is current when it holds the listed files and nothing else
+function bundleMatches(bundle, files) {
+  const bundled = Object.keys(bundle);
+  return bundled.length === new Set(files).size && files.every((file) => bundle[file] != null);
+}
+
+// One practice's JSON as stored (the drill's own field names), from the
+// practice store when the season is already loaded, otherwise from the source
+export async function getPractice(source, file, season) {
+  const stored = getStoredPractice(storeName(source), season, file);
+  if (stored) return stored;
+  const data = await source.load(file, season);
+  storePractice(storeName(source), season, file, data);
+  return data;
+}
+
+// Practice store key: drills can share season ids and dates
+function storeName(source) {
+  return `${source.name}/${(source.drill ?? DEFAULT_DRILL).id}`;
+}
+
+function practiceId(file) {
+  return String(file).replace(/\.json$/, "");
+}
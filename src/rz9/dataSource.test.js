@@ -0,0 +1,24 @@
+import { getDataSource } from './dataSource';
+
+// Runs against the local Firestore emulator only: `npm run test:emulator`
+const describeEmulator = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+describeEmulator('firestore data source', () => {
+  const source = getDataSource('firestore');
+  const practice = {
+    date: '2000-01-01',
+    teams: [{ team_id: 'A', roster: ['neal-zeng'] }],
+    results: [{ team_id: 'A', reps: 9, scores: 6 }],
+  };
+
+  test('saved practices can be listed and loaded', async () => {
+    await source.save(practice, 'test');
+
+    expect(await source.list('test')).toContain('2000-01-01.json');
+    expect(await source.load('2000-01-01.json', 'test')).toEqual(practice);
+  });
+});
+
+test('unknown data sources are rejected', () => {
+  expect(() => getDataSource('nope')).toThrow('Unknown data source "nope"');
+});
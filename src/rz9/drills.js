@@ -0,0 +1,117 @@
+import { NEUTRAL } from "./rz9Utils";
+
+/**
+ * drills — the measured drills the stats pages know about
+ *
+ * The leaderboard, Generate, Compare, Backtest and the detail modals are
+ * shared; each drill only says where its data lives and what it counts:
+ * - id, name: URL segment (/drills/:drillId) and display name
+ * - path: where its pages live ("/rz9" for Red Zone 9s, "/drills/<id>" otherwise)
+ * - dataPath: folder under public/ with seasons.json, <season>/manifest.json
+ *   and the practice files
+ * - collection: Firestore collection of seasons for the "firestore" data source
+ * - metrics: the result fields and labels for each team's tries (attempts) and
+ *   successes, and the label for their ratio
+ * - rating: the default rating model (an id from ratingModels.js) and, for
+ *   Elo, the success rate expected of an average team (ν)
+ *
+ * Practice files use the drill's own field names in `results`; loading maps
+ * them onto reps/scores, which every calculation in rz9Utils works with, and
+ * Generate writes them back out.
+ */
+
+export const DRILLS = [
+  {
+    id: "rz9",
+    name: "Red Zone 9s",
+    path: "/rz9",
+    dataPath: "rz9_data",
+    collection: "rz9_seasons",
+    metrics: {
+      attempts: { field: "reps", label: "Reps" },
+      successes: { field: "scores", label: "Scores" },
+      rateLabel: "Score %",
+    },
+    rating: { model: "elo", neutral: NEUTRAL },
+  },
+  {
+    id: "huck",
+    name: "Huck drill",
+    path: "/drills/huck",
+    dataPath: "drills/huck",
+    collection: "huck_seasons",
+    metrics: {
+      attempts: { field: "attempts", label: "Attempts" },
+      successes: { field: "completions", label: "Completions" },
+      rateLabel: "Completion %",
+    },
+    rating: { model: "beta", neutral: 0.5 },
+  },
+  {
+    id: "break-mark",
+    name: "Break-mark drill",
+    path: "/drills/break-mark",
+    dataPath: "drills/break-mark",
+    collection: "break_mark_seasons",
+    metrics: {
+      attempts: { field: "attempts", label: "Attempts" },
+      successes: { field: "breaks", label: "Breaks" },
+      rateLabel: "Break %",
+    },
+    rating: { model: "beta", neutral: 0.5 },
+  },
+  {
+    id: "endzone",
+    name: "Endzone offense",
+    path: "/drills/endzone",
+    dataPath: "drills/endzone",
+    collection: "endzone_seasons",
+    metrics: {
+      attempts: { field: "possessions", label: "Possessions" },
+      successes: { field: "scores", label: "Scores" },
+      rateLabel: "Score %",
+    },
+    rating: { model: "elo", neutral: 0.5 },
+  },
+];
+
+export const DEFAULT_DRILL = DRILLS[0];
+
+// Drill for a :drillId route param; routes without one (/rz9/...) are Red
+// Zone 9s. Unknown ids give null.
+export function getDrill(id) {
+  if (id == null) return DEFAULT_DRILL;
+  return DRILLS.find((d) => d.id === id) ?? null;
+}
+
+// The leaderboard path for a drill and season ("/rz9/2025", "/drills/huck")
+export function drillPath(drill, season = null) {
+  return season ? `${drill.path}/${season}` : drill.path;
+}
+
+// A practice file's results with the drill's fields renamed to reps/scores
+export function fromDrillPractice(practice, drill = DEFAULT_DRILL) {
+  return mapResults(practice, drill.metrics.attempts.field, "reps", drill.metrics.successes.field, "scores");
+}
+
+// The reverse, for writing a practice file
+export function toDrillPractice(practice, drill = DEFAULT_DRILL) {
+  return mapResults(practice, "reps", drill.metrics.attempts.field, "scores", drill.metrics.successes.field);
+}
+
+// ---------- helpers ----------
+
+function mapResults(practice, fromAttempts, toAttempts, fromSuccesses, toSuccesses) {
+  if (fromAttempts === toAttempts && fromSuccesses === toSuccesses) return practice;
+  if (!practice || !Array.isArray(practice.results)) return practice;
+  return {
+    ...practice,
+    results: practice.results.map((r) => {
+      if (!r || typeof r !== "object") return r;
+      const { [fromAttempts]: attempts, [fromSuccesses]: successes, ...rest } = r;
+      delete rest[toAttempts];
+      delete rest[toSuccesses];
+      return { team_id: rest.team_id, [toAttempts]: attempts, [toSuccesses]: successes, ...rest };
+    }),
+  };
+}
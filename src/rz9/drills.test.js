@@ -0,0 +1,24 @@
+import { DEFAULT_DRILL, drillPath, fromDrillPractice, getDrill, toDrillPractice } from './drills';
+
+const huck = getDrill('huck');
+
+test('routes without a drill are Red Zone 9s; unknown drills are null', () => {
+  expect(getDrill(undefined)).toBe(DEFAULT_DRILL);
+  expect(DEFAULT_DRILL.id).toBe('rz9');
+  expect(getDrill('nope')).toBeNull();
+  expect(drillPath(DEFAULT_DRILL, '2025')).toBe('/rz9/2025');
+  expect(drillPath(huck)).toBe('/drills/huck');
+});
+
+test("a drill's result fields map onto reps/scores and back", () => {
+  const file = {
+    date: '2025-09-04',
+    teams: [{ team_id: 'A', roster: ['neal-zeng'] }],
+    results: [{ team_id: 'A', attempts: 8, completions: 5, defending_team_id: 'B' }],
+  };
+  const loaded = fromDrillPractice(file, huck);
+
+  expect(loaded.results).toEqual([{ team_id: 'A', reps: 8, scores: 5, defending_team_id: 'B' }]);
+  expect(toDrillPractice(loaded, huck)).toEqual(file);
+  expect(fromDrillPractice(file, DEFAULT_DRILL)).toBe(file);
+});
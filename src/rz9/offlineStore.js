@@ -0,0 +1,95 @@
+/**
+ * offlineStore — Generate state that survives reloads and lost signal
+ *
+ * Both live in localStorage:
+ * - the draft: the practice being entered ({ date, teamCount, teams, repLog }),
+ *   saved as it is edited and restored when Generate opens; one per drill
+ * - the upload queue: finished practices waiting for a connection, for every
+ *   drill, [{ id, drill, season, practice, queuedAt }], one per drill + season + date
+ *
+ * Storage failures (private browsing, quota) are logged and otherwise ignored;
+ * the page keeps working, it just won't remember anything.
+ */
+
+export const QUEUE_KEY = "rz9.pendingPractices";
+
+// "rz9.generateDraft" for Red Zone 9s
+export function draftKey(drillId = "rz9") {
+  return `${drillId}.generateDraft`;
+}
+
+export function loadDraft(drillId) {
+  const draft = read(draftKey(drillId));
+  return draft && Array.isArray(draft.teams) ? draft : null;
+}
+
+export function saveDraft(draft, drillId) {
+  write(draftKey(drillId), draft);
+}
+
+export function clearDraft(drillId) {
+  write(draftKey(drillId), null);
+}
+
+export function loadQueue() {
+  const queue = read(QUEUE_KEY);
+  return Array.isArray(queue) ? queue : [];
+}
+
+// Adds a practice to the queue, replacing one already queued for the same
+// drill, season and date. Returns the new queue.
+export function queuePractice(practice, season, drillId = "rz9", now = new Date()) {
+  const id = `${drillId}/${season}/${practice.date}`;
+  const queue = [
+    ...loadQueue().filter((item) => item.id !== id),
+    { id, drill: drillId, season, practice, queuedAt: now.toISOString() },
+  ].sort((a, b) => a.id.localeCompare(b.id));
+  write(QUEUE_KEY, queue);
+  return queue;
+}
+
+export function removeQueued(id) {
+  const queue = loadQueue().filter((item) => item.id !== id);
+  write(QUEUE_KEY, queue);
+  return queue;
+}
+
+// Uploads queued practices one at a time with save(practice, season, drillId).
+// Saved ones leave the queue; failures stay for the next try.
+// Returns { uploaded: [id], failed: [{ id, message }], queue }.
+export async function flushQueue(save) {
+  const uploaded = [];
+  const failed = [];
+  for (const item of loadQueue()) {
+    try {
+      await save(item.practice, item.season, item.drill ?? "rz9");
+      removeQueued(item.id);
+      uploaded.push(item.id);
+    } catch (e) {
+      console.warn(e);
+      failed.push({ id: item.id, message: e.message });
+    }
+  }
+  return { uploaded, failed, queue: loadQueue() };
+}
+
+// ---------- helpers ----------
+
+function read(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn(`Could not read ${key}:`, e);
+    return null;
+  }
+}
+
+function write(key, value) {
+  try {
+    if (value == null) window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`Could not save ${key}:`, e);
+  }
+}
@@ -0,0 +1,53 @@
+import { loadDraft, saveDraft, clearDraft, loadQueue, queuePractice, removeQueued, flushQueue } from './offlineStore';
+
+const practice = (date) => ({ date, teams: [{ team_id: 'A', roster: ['sam'] }], results: [{ team_id: 'A', reps: 5, scores: 3 }] });
+
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test('a saved draft comes back until it is cleared', () => {
+  expect(loadDraft()).toBeNull();
+  const draft = { date: '2025-09-01', teamCount: 1, teams: [{ roster: ['sam'], reps: 2, scores: 1 }], repLog: [] };
+  saveDraft(draft);
+  expect(loadDraft()).toEqual(draft);
+  clearDraft();
+  expect(loadDraft()).toBeNull();
+});
+
+test('queueing the same season and date replaces the earlier entry', () => {
+  queuePractice(practice('2025-09-02'), '2025');
+  queuePractice(practice('2025-09-01'), '2025');
+  const queue = queuePractice({ ...practice('2025-09-02'), teams: [] }, '2025');
+  expect(queue.map((q) => q.id)).toEqual(['rz9/2025/2025-09-01', 'rz9/2025/2025-09-02']);
+  expect(loadQueue()[1].practice.teams).toEqual([]);
+  expect(removeQueued('rz9/2025/2025-09-01').map((q) => q.id)).toEqual(['rz9/2025/2025-09-02']);
+});
+
+test('drafts and queued practices are kept apart per drill', () => {
+  saveDraft({ date: '2025-09-01', teamCount: 1, teams: [], repLog: [] }, 'huck');
+  expect(loadDraft()).toBeNull();
+  expect(loadDraft('huck').date).toBe('2025-09-01');
+
+  queuePractice(practice('2025-09-01'), '2025');
+  const queue = queuePractice(practice('2025-09-01'), '2025', 'huck');
+  expect(queue.map((q) => q.drill)).toEqual(['huck', 'rz9']);
+});
+
+test('flushQueue keeps practices that fail to upload', async () => {
+  queuePractice(practice('2025-09-01'), '2025');
+  queuePractice(practice('2025-09-02'), '2025');
+  const save = jest.fn(async (p) => {
+    if (p.date === '2025-09-02') throw new Error('offline');
+  });
+  const result = await flushQueue(save);
+  expect(save).toHaveBeenCalledWith(practice('2025-09-01'), '2025', 'rz9');
+  expect(result.uploaded).toEqual(['rz9/2025/2025-09-01']);
+  expect(result.failed).toEqual([{ id: 'rz9/2025/2025-09-02', message: 'offline' }]);
+  expect(loadQueue().map((q) => q.id)).toEqual(['rz9/2025/2025-09-02']);
+});
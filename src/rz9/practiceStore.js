@@ -0,0 +1,94 @@
+/**
+ * practiceStore — shared, in-memory cache for practice data
+ *
+ * - fetchJson(url): GETs JSON through a small request pool (at most
+ *   FETCH_CONCURRENCY at once). Responses are remembered with their ETag /
+ *   Last-Modified, so the next request for the same URL revalidates and a 304
+ *   reuses the parsed body. Concurrent requests for one URL share one fetch.
+ * - Practices loaded by loadSeasonPractices are kept per source + season +
+ *   file, so PracticeDetails (and anything else) can read a practice that is
+ *   already in memory instead of fetching it again.
+ *
+ * Cached bodies are shared between callers; treat them as read-only.
+ */
+
+export const FETCH_CONCURRENCY = 6;
+
+const responses = new Map(); // url -> { etag, lastModified, body }
+const inflight = new Map(); // url -> Promise<body>
+const practices = new Map(); // "source:season/file" -> practice JSON
+
+let active = 0;
+const waiting = [];
+
+export function fetchJson(url) {
+  if (inflight.has(url)) return inflight.get(url);
+  const request = withSlot(() => revalidate(url)).finally(() => inflight.delete(url));
+  inflight.set(url, request);
+  return request;
+}
+
+// Like fetchJson, but a 404 resolves to null (for optional files)
+export async function fetchOptionalJson(url) {
+  try {
+    return await fetchJson(url);
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
+export function getStoredPractice(sourceName, season, file) {
+  return practices.get(practiceKey(sourceName, season, file)) ?? null;
+}
+
+export function storePractice(sourceName, season, file, practice) {
+  practices.set(practiceKey(sourceName, season, file), practice);
+}
+
+// Forgets everything (tests, or after saving new data)
+export function clearPracticeStore() {
+  responses.clear();
+  practices.clear();
+}
+
+// ---------- helpers ----------
+
+async function revalidate(url) {
+  const cached = responses.get(url);
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  else if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  const res = await fetch(url, { cache: "no-store", headers });
+  if (res.status === 304 && cached) return cached.body;
+  if (!res.ok) {
+    const error = new Error(`${url}: ${res.status}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  const body = await res.json();
+  const etag = res.headers?.get("ETag") ?? null;
+  const lastModified = res.headers?.get("Last-Modified") ?? null;
+  if (etag || lastModified) responses.set(url, { etag, lastModified, body });
+  else responses.delete(url);
+  return body;
+}
+
+// Runs task once fewer than FETCH_CONCURRENCY requests are in flight
+async function withSlot(task) {
+  if (active < FETCH_CONCURRENCY) active += 1;
+  else await new Promise((resolve) => waiting.push(resolve)); // a finishing request hands over its slot
+  try {
+    return await task();
+  } finally {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  }
+}
+
+function practiceKey(sourceName, season, file) {
+  return `${sourceName}:${season}/${file}`;
+}
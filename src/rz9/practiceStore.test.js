@@ -0,0 +1,83 @@
+import { fetchJson, fetchOptionalJson, clearPracticeStore, FETCH_CONCURRENCY } from './practiceStore';
+import { loadSeasonPractices, getPractice } from './dataSource';
+import { buildRoster } from './rz9Utils';
+
+const response = (body, { status = 200, etag = null } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  headers: { get: (name) => (name === 'ETag' ? etag : null) },
+});
+
+const practice = (date) => ({ date, teams: [{ team_id: 'A', roster: ['sam'] }], results: [{ team_id: 'A', reps: 4, scores: 2 }] });
+
+beforeEach(() => {
+  clearPracticeStore();
+});
+
+test('a 304 reuses the body fetched with that ETag', async () => {
+  global.fetch = jest.fn().mockResolvedValueOnce(response({ v: 1 }, { etag: '"a"' })).mockResolvedValueOnce(response(null, { status: 304 }));
+
+  expect(await fetchJson('/x.json')).toEqual({ v: 1 });
+  expect(await fetchJson('/x.json')).toEqual({ v: 1 });
+  expect(fetch.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"a"' });
+});
+
+test('concurrent requests for one URL share a fetch, and the pool caps requests in flight', async () => {
+  let inFlight = 0;
+  let most = 0;
+  global.fetch = jest.fn(async (url) => {
+    inFlight += 1;
+    most = Math.max(most, inFlight);
+    await new Promise((r) => setTimeout(r, 5));
+    inFlight -= 1;
+    return response({ url });
+  });
+
+  const urls = Array.from({ length: 20 }, (_, i) => `/p${i}.json`);
+  const bodies = await Promise.all([...urls, ...urls].map((u) => fetchJson(u)));
+
+  expect(fetch).toHaveBeenCalledTimes(20);
+  expect(most).toBe(FETCH_CONCURRENCY);
+  expect(bodies[25]).toEqual({ url: '/p5.json' });
+});
+
+test('fetchOptionalJson resolves a missing file to null', async () => {
+  global.fetch = jest.fn().mockResolvedValue(response(null, { status: 404 }));
+  expect(await fetchOptionalJson('/none.json')).toBeNull();
+});
+
+test('bundled practices are not fetched again, and stored practices are reused', async () => {
+  const source = {
+    name: 'test',
+    list: async () => ['2025-09-01.json', '2025-09-02.json'],
+    load: jest.fn(async (file) => practice(file.replace('.json', ''))),
+    bundle: async () => ({ '2025-09-01.json': practice('2025-09-01'), '2025-09-02.json': practice('2025-09-02') }),
+  };
+
+  const { practices, issues } = await loadSeasonPractices(source, '2025', buildRoster([]));
+
+  expect(practices.map((p) => p.date)).toEqual(['2025-09-01', '2025-09-02']);
+  expect(issues).toEqual([]);
+  expect(source.load).not.toHaveBeenCalled();
+  expect(await getPractice(source, '2025-09-01.json', '2025')).toEqual(practice('2025-09-01'));
+  expect(source.load).not.toHaveBeenCalled();
+});
+
+test('a bundle older than the manifest is ignored', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const stale = { ...practice('2025-09-01'), note: 'stale' };
+  const source = {
+    name: 'stale',
+    list: async () => ['2025-09-01.json', '2025-09-02.json'],
+    load: jest.fn(async (file) => practice(file.replace('.json', ''))),
+    bundle: async () => ({ '2025-09-01.json': stale }),
+  };
+
+  const { practices } = await loadSeasonPractices(source, '2025', buildRoster([]));
+
+  expect(practices.map((p) => p.date)).toEqual(['2025-09-01', '2025-09-02']);
+  expect(source.load).toHaveBeenCalledTimes(2);
+  expect(await getPractice(source, '2025-09-01.json', '2025')).toEqual(practice('2025-09-01'));
+  console.warn.mockRestore();
+});
@@ -0,0 +1,326 @@
+import { aggregatePlayerStats, toLeaderboard, CONSERVATIVE_Z, NEUTRAL, INITIAL } from "./rz9Utils";
+
+/**
+ * Rating models — interchangeable ways to turn practices into player ratings
+ *
+ * Every model is an object with:
+ * - id, name: key for the URL (?model=…) and label for the Leaderboard
+ * - rate(practices, options) → Map(player → { rating, rd, conservative })
+ *   options: { initialRatings: Map(player → rating on this model's scale),
+ *   today, attendance, … } (models ignore options they don't use)
+ * - initial: a new player's rating, or null when it depends on the data
+ * - scale, digits, unit: how ratings are displayed (see formatRating)
+ * - conservativeLabel: how `conservative` is computed, for the rank-by button
+ * - explain(options) → [{ text } | { math }] blocks that Explanation renders,
+ *   given the same options as rate (for ν)
+ *
+ * `rd` is each model's uncertainty on its own scale; the ± shown is
+ * CONSERVATIVE_Z·rd, about a 95% interval.
+ */
+
+// ---------- decayed Elo (the original rating) ----------
+
+export const ELO = {
+  id: "elo",
+  name: "Decayed Elo",
+  initial: INITIAL,
+  scale: 1,
+  digits: 0,
+  unit: "",
+  conservativeLabel: `R − ${CONSERVATIVE_Z}·RD`,
+  rate(practices, { initialRatings = null, ...ratingOptions } = {}) {
+    const rows = toLeaderboard(aggregatePlayerStats(practices), new Map(), { initialRatings, ratingOptions });
+    return new Map(rows.map((r) => [r.player, { rating: r.rating, rd: r.rd, conservative: r.conservative }]));
+  },
+  // Explanation renders its own Elo section (with the playground)
+  explain: () => [],
+};
+
+// ---------- Glicko-2 ----------
+
+// Defaults from Glickman's paper; ratings are on the familiar 1500 scale
+export const GLICKO2_RATING = 1500;
+export const GLICKO2_RD = 350;
+export const GLICKO2_VOLATILITY = 0.06;
+export const GLICKO2_TAU = 0.5;
+const GLICKO_SCALE = 173.7178;
+
+// Each practice is a rating period. Every rep a player's team runs is a game
+// against a league-average defense, placed so a 1500 player scores at ν.
+function glicko2Rate(practices, { initialRatings = null, neutral = NEUTRAL } = {}) {
+  const opponent = -Math.log(neutral / (1 - neutral)); // E(0) = ν
+  const state = new Map(); // player -> { mu, phi, sigma } (Glicko-2 scale)
+  const init = (player) => {
+    if (!state.has(player)) {
+      const r = initialRatings?.get(player) ?? GLICKO2_RATING;
+      state.set(player, { mu: (r - GLICKO2_RATING) / GLICKO_SCALE, phi: GLICKO2_RD / GLICKO_SCALE, sigma: GLICKO2_VOLATILITY });
+    }
+    return state.get(player);
+  };
+
+  for (const games of ratingPeriods(practices)) {
+    for (const player of games.keys()) init(player);
+    for (const [player, s] of state) {
+      const g = games.get(player);
+      if (!g || g.reps === 0) {
+        s.phi = Math.sqrt(s.phi ** 2 + s.sigma ** 2); // inactive this period
+        continue;
+      }
+      const E = 1 / (1 + Math.exp(-(s.mu - opponent)));
+      const v = 1 / (g.reps * E * (1 - E));
+      const delta = v * (g.scores - g.reps * E);
+      s.sigma = nextVolatility(s, delta, v);
+      const phiStar = Math.sqrt(s.phi ** 2 + s.sigma ** 2);
+      s.phi = 1 / Math.sqrt(1 / phiStar ** 2 + 1 / v);
+      s.mu += s.phi ** 2 * (g.scores - g.reps * E);
+    }
+  }
+
+  const out = new Map();
+  for (const [player, s] of state) {
+    const rating = GLICKO2_RATING + GLICKO_SCALE * s.mu;
+    const rd = GLICKO_SCALE * s.phi;
+    out.set(player, { rating, rd, conservative: rating - CONSERVATIVE_Z * rd });
+  }
+  return out;
+}
+
+// Practices grouped by date, oldest first: [Map(player -> { reps, scores })]
+function ratingPeriods(practices) {
+  const byDate = new Map();
+  for (const p of practices || []) {
+    if (!p || !p.teams || !p.results) continue;
+    if (!byDate.has(p.date)) byDate.set(p.date, new Map());
+    const games = byDate.get(p.date);
+    const rosters = new Map(p.teams.map((t) => [t.team_id, Array.isArray(t.roster) ? t.roster : []]));
+    for (const roster of rosters.values()) {
+      for (const player of roster) if (!games.has(player)) games.set(player, { reps: 0, scores: 0 });
+    }
+    for (const r of p.results) {
+      for (const player of rosters.get(r.team_id) || []) {
+        const g = games.get(player);
+        g.reps += Number(r.reps || 0);
+        g.scores += Number(r.scores || 0);
+      }
+    }
+  }
+  return [...byDate.keys()].sort().map((d) => byDate.get(d));
+}
+
+// Glickman's step 5: the new volatility σ' by the Illinois algorithm
+function nextVolatility({ phi, sigma }, delta, v, tau = GLICKO2_TAU) {
+  const a = Math.log(sigma ** 2);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return (ex * (delta ** 2 - phi ** 2 - v - ex)) / (2 * (phi ** 2 + v + ex) ** 2) - (x - a) / tau ** 2;
+  };
+
+  let A = a;
+  let B;
+  if (delta ** 2 > phi ** 2 + v) {
+    B = Math.log(delta ** 2 - phi ** 2 - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  for (let i = 0; i < 100 && Math.abs(B - A) > 1e-6; i++) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+export const GLICKO2 = {
+  id: "glicko2",
+  name: "Glicko-2",
+  initial: GLICKO2_RATING,
+  scale: 1,
+  digits: 0,
+  unit: "",
+  conservativeLabel: `R − ${CONSERVATIVE_Z}·RD`,
+  rate: glicko2Rate,
+  explain: ({ neutral = NEUTRAL } = {}) => [
+    {
+      text: `Each practice is a rating period. Every rep a player's team runs counts as one game against a league-average defense, placed so that a player rated ${GLICKO2_RATING} is expected to score at ν = ${neutral}. On the Glicko-2 scale (μ = (R − ${GLICKO2_RATING}) / ${GLICKO_SCALE}, φ = RD / ${GLICKO_SCALE}), a player with s scores in n reps has:`,
+    },
+    { math: `E = \\frac{1}{1 + e^{-(\\mu - \\mu_0)}},\\quad \\mu_0 = -\\ln\\frac{\\nu}{1-\\nu},\\qquad v = \\frac{1}{n\\,E(1-E)},\\quad \\Delta = v\\,(s - nE)` },
+    {
+      text: `The volatility σ (starting at ${GLICKO2_VOLATILITY}, τ = ${GLICKO2_TAU}) is updated from Δ and v with Glickman's iteration, then the deviation and rating:`,
+    },
+    { math: `\\phi^* = \\sqrt{\\phi^2 + \\sigma'^2},\\qquad \\phi' = \\Big(\\frac{1}{\\phi^{*2}} + \\frac{1}{v}\\Big)^{-1/2},\\qquad \\mu' = \\mu + \\phi'^2\\,(s - nE)` },
+    {
+      text: `A player who misses a practice only has φ grow to √(φ² + σ²). New players start at ${GLICKO2_RATING} ± ${GLICKO2_RD}. There is no time decay; recent form shows up through the volatility instead.`,
+    },
+  ],
+};
+
+// ---------- Bayesian beta-binomial ----------
+
+// Prior strength in reps: how much data it takes to move halfway off the league rate
+export const PRIOR_REPS = 20;
+
+function betaRate(practices, { initialRatings = null, priorReps = PRIOR_REPS } = {}) {
+  let reps = 0;
+  let scores = 0;
+  for (const p of practices) {
+    for (const r of p?.results || []) {
+      reps += Number(r.reps || 0);
+      scores += Number(r.scores || 0);
+    }
+  }
+  const league = reps > 0 ? scores / reps : NEUTRAL;
+
+  const out = new Map();
+  for (const [player, s] of aggregatePlayerStats(practices)) {
+    const prior = initialRatings?.get(player) ?? league;
+    const a = priorReps * prior + s.scored;
+    const b = priorReps * (1 - prior) + (s.reps - s.scored);
+    const rating = a / (a + b);
+    const rd = Math.sqrt((a * b) / ((a + b) ** 2 * (a + b + 1)));
+    out.set(player, { rating, rd, conservative: rating - CONSERVATIVE_Z * rd });
+  }
+  return out;
+}
+
+export const BETA_BINOMIAL = {
+  id: "beta",
+  name: "Bayesian rate (beta-binomial)",
+  initial: null,
+  scale: 100,
+  digits: 1,
+  unit: "%",
+  conservativeLabel: `mean − ${CONSERVATIVE_Z}·sd`,
+  rate: betaRate,
+  explain: () => [
+    {
+      text: `A player's true scoring rate θ gets a Beta prior centred on the league rate r̄ of the practices shown, worth m = ${PRIOR_REPS} reps. With s team scores in n reps, the posterior is again a Beta:`,
+    },
+    { math: `\\theta \\sim \\mathrm{Beta}(m\\bar r,\\ m(1-\\bar r)),\\qquad \\theta \\mid s, n \\sim \\mathrm{Beta}(a, b),\\quad a = m\\bar r + s,\\ b = m(1-\\bar r) + n - s` },
+    { math: `\\text{Rating} = \\frac{a}{a+b},\\qquad \\mathrm{sd} = \\sqrt{\\frac{ab}{(a+b)^2(a+b+1)}}` },
+    {
+      text: "So a player with few reps is pulled toward the league rate, and one with many reps keeps close to their raw Score %. Every rep counts the same; there is no time decay. With carry-over, the prior is centred on the previous seasons' rate instead.",
+    },
+  ],
+};
+
+// ---------- TrueSkill-style team model ----------
+
+export const TS_MU = 25;
+export const TS_SIGMA = 25 / 3;
+export const TS_BETA = 25 / 6;
+export const TS_TAU = 25 / 300;
+
+// Team performance is the mean skill of its roster. A result of s scores in
+// n reps measures it through a logistic link; every player's skill is then
+// updated in proportion to their own variance (a Gaussian, Kalman-style step).
+function trueSkillRate(practices, { initialRatings = null, neutral = NEUTRAL } = {}) {
+  const offset = TS_MU - TS_BETA * Math.log(neutral / (1 - neutral)); // average team scores at ν
+  const skill = new Map(); // player -> { mu, var }
+
+  const sorted = [...(practices || [])].filter((p) => p && p.teams && p.results).sort((a, b) => a.date.localeCompare(b.date));
+  for (const p of sorted) {
+    const rosters = new Map(p.teams.map((t) => [t.team_id, Array.isArray(t.roster) ? t.roster : []]));
+    const present = new Set([...rosters.values()].flat());
+    for (const player of present) {
+      if (!skill.has(player)) skill.set(player, { mu: initialRatings?.get(player) ?? TS_MU, var: TS_SIGMA ** 2 });
+      skill.get(player).var += TS_TAU ** 2; // skills drift a little between practices
+    }
+
+    for (const r of p.results) {
+      const roster = rosters.get(r.team_id) || [];
+      const n = Number(r.reps || 0);
+      if (roster.length === 0 || n === 0) continue;
+      const N = roster.length;
+      // scores outside 0…n (flagged by validatePractice) would put the rate outside (0, 1)
+      const scores = Math.min(n, Math.max(0, Number(r.scores || 0)));
+      const rate = (scores + 0.5) / (n + 1);
+      const measured = offset + TS_BETA * Math.log(rate / (1 - rate));
+      const noise = TS_BETA ** 2 / ((n + 1) * rate * (1 - rate));
+
+      const members = roster.map((player) => skill.get(player));
+      const teamMu = members.reduce((s, m) => s + m.mu, 0) / N;
+      const teamVar = members.reduce((s, m) => s + m.var, 0) / N ** 2;
+      const V = teamVar + TS_BETA ** 2 + noise;
+      const surprise = measured - teamMu;
+      for (const m of members) {
+        m.mu += (m.var / N / V) * surprise;
+        m.var *= 1 - m.var / (N ** 2 * V);
+      }
+    }
+  }
+
+  const out = new Map();
+  for (const [player, s] of skill) {
+    const rd = Math.sqrt(s.var);
+    out.set(player, { rating: s.mu, rd, conservative: s.mu - CONSERVATIVE_Z * rd });
+  }
+  return out;
+}
+
+export const TRUESKILL = {
+  id: "trueskill",
+  name: "Team skill (TrueSkill-style)",
+  initial: TS_MU,
+  scale: 1,
+  digits: 1,
+  unit: "",
+  conservativeLabel: `μ − ${CONSERVATIVE_Z}σ`,
+  rate: trueSkillRate,
+  explain: ({ neutral = NEUTRAL } = {}) => [
+    {
+      text: `Each player has a skill s ~ N(μ, σ²), starting at μ = ${TS_MU}, σ = ${TS_SIGMA.toFixed(2)}. A team's performance on a practice is the mean skill of its N players plus noise with β = ${TS_BETA.toFixed(2)}. Its result, s scores in n reps, is read as a measurement of that performance through a logistic link, offset so an average team scores at ν = ${neutral}:`,
+    },
+    { math: `y = c + \\beta \\ln\\frac{\\hat r}{1-\\hat r},\\quad \\hat r = \\frac{s + \\tfrac12}{n + 1},\\quad c = \\mu_0 - \\beta \\ln\\frac{\\nu}{1-\\nu},\\qquad \\epsilon^2 = \\frac{\\beta^2}{(n+1)\\,\\hat r(1-\\hat r)}` },
+    { text: "Every player on the roster then moves by their share of the surprise, weighted by how uncertain their own skill is, and becomes more certain:" },
+    { math: `V = \\frac{1}{N^2}\\sum_{j} \\sigma_j^2 + \\beta^2 + \\epsilon^2,\\qquad \\mu_i \\leftarrow \\mu_i + \\frac{\\sigma_i^2}{N V}\\Big(y - \\frac{1}{N}\\sum_j \\mu_j\\Big),\\qquad \\sigma_i^2 \\leftarrow \\sigma_i^2\\Big(1 - \\frac{\\sigma_i^2}{N^2 V}\\Big)` },
+    {
+      text: `Before each practice σ² grows by τ² (τ = ${TS_TAU.toFixed(3)}). Unlike the Elo rating, a well-known player on a surprising team moves less than a newcomer, because the newcomer's skill explains more of the surprise. The conservative estimate is μ − ${CONSERVATIVE_Z}σ, the low end of the ± shown, rather than TrueSkill's usual μ − 3σ.`,
+    },
+  ],
+};
+
+export const RATING_MODELS = [ELO, GLICKO2, BETA_BINOMIAL, TRUESKILL];
+
+// Model for a ?model= value; unknown ids fall back to the decayed Elo
+export function getRatingModel(id) {
+  return RATING_MODELS.find((m) => m.id === id) ?? ELO;
+}
+
+// A model's final ratings over earlier practices, as initialRatings for the next season
+export function carryOverRatings(model, practices, options = {}) {
+  return new Map([...model.rate(practices, options)].map(([player, r]) => [player, r.rating]));
+}
+
+export function formatRating(model, value) {
+  if (value == null) return "—";
+  return `${(value * model.scale).toFixed(model.digits)}${model.unit}`;
+}
+
+// The ± part of a rating: CONSERVATIVE_Z deviations on the model's scale
+export function formatSpread(model, rd) {
+  return `±${(CONSERVATIVE_Z * rd * model.scale).toFixed(model.digits)}${model.unit}`;
+}
+
+// Signed change on the model's scale, "" when it rounds to zero
+export function formatRatingDelta(model, delta) {
+  if (delta == null) return "";
+  const d = Number((delta * model.scale).toFixed(model.digits));
+  if (d === 0) return "";
+  return d > 0 ? `+${d.toFixed(model.digits)}` : `−${(-d).toFixed(model.digits)}`;
+}
+
+// Plain number for CSV export (percent for rate models)
+export function ratingValue(model, value) {
+  return value == null ? "" : Number((value * model.scale).toFixed(model.digits + 1));
+}
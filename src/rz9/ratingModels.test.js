@@ -0,0 +1,52 @@
+import { RATING_MODELS, ELO, TRUESKILL, getRatingModel, formatRating, formatSpread } from './ratingModels';
+import { aggregatePlayerStats, toLeaderboard } from './rz9Utils';
+
+const today = new Date(Date.UTC(2025, 8, 30));
+
+// Hot always lands on the team that scores; Cold on the one that doesn't.
+// Rare plays once on the scoring team.
+const practices = ['2025-09-01', '2025-09-08', '2025-09-15', '2025-09-22'].map((date, i) => ({
+  date,
+  teams: [
+    { team_id: 'A', roster: i === 3 ? ['Hot', 'X', 'Rare'] : ['Hot', 'X'] },
+    { team_id: 'B', roster: ['Cold', 'Y'] },
+  ],
+  results: [
+    { team_id: 'A', reps: 10, scores: 8 },
+    { team_id: 'B', reps: 10, scores: 3 },
+  ],
+}));
+
+test.each(RATING_MODELS.map((m) => [m.name, m]))('%s rates every player and orders them by results', (_, model) => {
+  const ratings = model.rate(practices, { today });
+
+  expect([...ratings.keys()].sort()).toEqual(['Cold', 'Hot', 'Rare', 'X', 'Y']);
+  expect(ratings.get('Hot').rating).toBeGreaterThan(ratings.get('Cold').rating);
+  expect(ratings.get('Rare').rd).toBeGreaterThan(ratings.get('Hot').rd);
+  for (const r of ratings.values()) expect(r.conservative).toBeLessThan(r.rating);
+});
+
+test('the Elo model matches the leaderboard rating', () => {
+  const rows = toLeaderboard(aggregatePlayerStats(practices), new Map(), { ratingOptions: { today } });
+  const ratings = ELO.rate(practices, { today });
+
+  for (const r of rows) expect(ratings.get(r.player).rating).toBeCloseTo(r.rating);
+});
+
+test('models are looked up by id and format on their own scale', () => {
+  expect(getRatingModel('glicko2').name).toBe('Glicko-2');
+  expect(getRatingModel('nope')).toBe(ELO);
+
+  const beta = getRatingModel('beta');
+  expect(formatRating(beta, 0.6234)).toBe('62.3%');
+  expect(formatSpread(beta, 0.05)).toBe('±10.0%');
+  expect(formatRating(ELO, 1012.4)).toBe('1012');
+});
+
+test('team skill stays finite when a result has more scores than reps', () => {
+  const bad = [{ ...practices[0], results: [{ team_id: 'A', reps: 5, scores: 7 }, { team_id: 'B', reps: 5, scores: 2 }] }, ...practices.slice(1)];
+  const ratings = TRUESKILL.rate(bad);
+
+  for (const r of ratings.values()) expect(Number.isFinite(r.rating) && Number.isFinite(r.conservative)).toBe(true);
+  expect(ratings.get('Hot').rating).toBeGreaterThan(ratings.get('Cold').rating);
+});
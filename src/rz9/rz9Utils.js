@@ -1,55 +1,189 @@
+import { fetchJson, fetchOptionalJson } from "./practiceStore";
+
 export const NEUTRAL = 0.555
 export const INITIAL = 1000
 export const MU = 1000
 export const HALF_LIFE = 21
 export const WIDTH = 10000
 export const STEP = 200
+export const RIDGE = 20
+export const ABSENCE_GRACE = 2
+export const ABSENCE_PULL = 0.1
+// Rating deviation (RD): a new player's uncertainty, the noise of one rep and
+// how fast RD grows back per √day without practice, all in rating points
+export const RD_INITIAL = 150
+export const RD_REP = 300
+export const RD_GROWTH = 8
+export const CONSERVATIVE_Z = 2 // conservative rating = R - z·RD
 
 const TODAY = new Date()
 
-export const PLAYERS = [
-  "Adam Grossberg",
-  "Adithya Deepak",
-  "Camilo Castrillon",
-  "Connor Case",
-  "David Baker",
-  "Dhruvsai Dhulipudi",
-  "Ephraim Connor",
-  "Ethan Austin-Cruse",
-  "Flavius Penescu",
-  "Ganden Fung",
-  "Grover Grendzinski",
-  "Ivan Sanchez",
-  "Jackson Armstrong",
-  "Jedidiah Cheng",
-  "John Davis",
-  "Keller Smith",
-  "Matthew Greenberg",
-  "Neal Zeng",
-  "Nikos Verlenden",
-  "Owen Hammond-Lee",
-  "Philip Emry",
-  "Piss",
-  "Sam Granade",
-  "Sam Grossberg",
-  "Stefan McCall"
-];
-
-export async function fetchManifest() {
-  const res = await fetch("/rz9_data/manifest.json", { cache: "no-store" });
-  if (!res.ok) throw new Error(`Manifest load failed: ${res.status}`);
-  return res.json();
-}
-
-export async function fetchPractice(filename) {
-  const res = await fetch(`/rz9_data/${filename}`, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Practice load failed (${filename}): ${res.status}`);
-  return res.json();
-}
-
-
-
-function expectedPct(R, { mu = MU, width = WIDTH, neutral = NEUTRAL } = {}) {
+// Roster registry (public/roster.json):
+// [{ id, name, aliases: [], number, active, position? ("handler" | "cutter") }]
+// Practice rosters may list a player by id, display name or alias; everything
+// downstream of normalizePractice keys players by id.
+export async function fetchRoster() {
+  return buildRoster(await loadJson("/roster.json", "Roster load failed"));
+}
+
+export function buildRoster(entries) {
+  const players = (Array.isArray(entries) ? entries : []).filter((p) => p && p.id);
+  const byId = new Map();
+  const lookup = new Map(); // normalized id/name/alias -> id
+  for (const p of players) {
+    byId.set(p.id, p);
+    for (const key of [p.id, p.name, ...(p.aliases || [])]) {
+      if (key) lookup.set(normalizeKey(key), p.id);
+    }
+  }
+  return { players, byId, lookup };
+}
+
+export const EMPTY_ROSTER = buildRoster([]);
+
+function normalizeKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+// id for a roster entry as written in a practice file, or null if unknown
+export function resolvePlayer(roster, name) {
+  if (name == null) return null;
+  return roster.lookup.get(normalizeKey(name)) ?? null;
+}
+
+// Display name for a player id; unknown ids are shown as written
+export function playerName(roster, id) {
+  return roster.byId.get(id)?.name ?? id;
+}
+
+// Copy of a practice with every roster entry (and rep scorer/assist, stat line)
+// replaced by its player id. Names the roster doesn't know are kept as written.
+export function normalizePractice(practice, roster) {
+  if (!practice || !Array.isArray(practice.teams)) return practice;
+  const toId = (name) => resolvePlayer(roster, name) ?? name;
+  return {
+    ...practice,
+    teams: practice.teams.map((t) => ({
+      ...t,
+      roster: Array.isArray(t.roster) ? t.roster.map(toId) : t.roster,
+    })),
+    ...(Array.isArray(practice.reps)
+      ? {
+          reps: practice.reps.map((r) => ({
+            ...r,
+            ...(r?.scorer != null ? { scorer: toId(r.scorer) } : {}),
+            ...(r?.assist != null ? { assist: toId(r.assist) } : {}),
+          })),
+        }
+      : {}),
+    ...(Array.isArray(practice.stats)
+      ? { stats: practice.stats.map((line) => (line?.player != null ? { ...line, player: toId(line.player) } : line)) }
+      : {}),
+  };
+}
+
+// Optional rep-by-rep log in a practice, in the order the reps were run:
+// reps: [{ team_id, outcome: "score" | "turnover" | "drop", scorer?, assist? }]
+// When present, each logged team's result reps/scores are its totals here.
+export const REP_OUTCOMES = ["score", "turnover", "drop"];
+
+// Map(team_id -> { reps, scores }) counted from a rep log
+export function repTotals(reps) {
+  const totals = new Map();
+  for (const r of reps || []) {
+    if (!r || r.team_id == null) continue;
+    if (!totals.has(r.team_id)) totals.set(r.team_id, { reps: 0, scores: 0 });
+    const t = totals.get(r.team_id);
+    t.reps += 1;
+    if (r.outcome === "score") t.scores += 1;
+  }
+  return totals;
+}
+
+// Optional per-player stat lines in a practice:
+// stats: [{ player, goals?, assists?, throwaways?, drops? }]
+// Missing counts are 0. A practice without stat lines but with a rep log gets
+// goals and assists from the log's credited scorers and assists.
+export const STAT_KEYS = ["goals", "assists", "throwaways", "drops"];
+
+const emptyLine = () => ({ goals: 0, assists: 0, throwaways: 0, drops: 0 });
+
+// Map(player -> { goals, assists, throwaways, drops }) for one practice; empty
+// when it has no stat lines and no credited reps
+export function practiceStatLines(practice) {
+  const lines = new Map();
+  const lineFor = (player) => {
+    if (!lines.has(player)) lines.set(player, emptyLine());
+    return lines.get(player);
+  };
+
+  if (Array.isArray(practice?.stats)) {
+    for (const s of practice.stats) {
+      if (!s || s.player == null) continue;
+      const line = lineFor(s.player);
+      for (const key of STAT_KEYS) line[key] += Number(s[key] || 0);
+    }
+  } else if (Array.isArray(practice?.reps)) {
+    for (const r of practice.reps) {
+      if (r?.outcome !== "score") continue;
+      if (r.scorer != null) lineFor(r.scorer).goals += 1;
+      if (r.assist != null) lineFor(r.assist).assists += 1;
+    }
+  }
+  return lines;
+}
+
+// Per player over the given practices: { goals, assists, throwaways, drops,
+// practices } where practices counts the practices with a stat line for them
+export function aggregateIndividualStats(practices) {
+  const totals = new Map();
+  for (const p of practices || []) {
+    for (const [player, line] of practiceStatLines(p)) {
+      if (!totals.has(player)) totals.set(player, { ...emptyLine(), practices: 0 });
+      const t = totals.get(player);
+      for (const key of STAT_KEYS) t[key] += line[key];
+      t.practices += 1;
+    }
+  }
+  return totals;
+}
+
+// Seasons (public/rz9_data/seasons.json), oldest first:
+// [{ id, name, carryOver }]. Each season's practices live in rz9_data/<id>/.
+// Other drills keep the same layout under their own folder (drills.js), given
+// as dataPath.
+export const ALL_SEASONS = "all";
+
+export function fetchSeasons(dataPath = "rz9_data") {
+  return loadJson(`/${dataPath}/seasons.json`, "Seasons load failed");
+}
+
+export function fetchManifest(season, dataPath = "rz9_data") {
+  return loadJson(`/${dataPath}/${season}/manifest.json`, `Manifest load failed (${season})`);
+}
+
+export function fetchPractice(filename, season, dataPath = "rz9_data") {
+  return loadJson(`/${dataPath}/${season}/${filename}`, `Practice load failed (${season}/${filename})`);
+}
+
+// Optional rz9_data/<season>/bundle.json: every practice of a season in one
+// file, { generated, practices: { "<file>": practice } }. Resolves to the
+// practices object, or null when the season has no bundle.
+export async function fetchBundle(season, dataPath = "rz9_data") {
+  const bundle = await fetchOptionalJson(`/${dataPath}/${season}/bundle.json`);
+  return bundle && typeof bundle.practices === "object" ? bundle.practices : null;
+}
+
+// JSON through the shared practice store (ETag revalidation, request pool)
+function loadJson(url, failure) {
+  return fetchJson(url).catch((e) => {
+    throw new Error(`${failure}: ${e.status ?? e.message}`);
+  });
+}
+
+
+
+export function expectedPct(R, { mu = MU, width = WIDTH, neutral = NEUTRAL } = {}) {
   // clamp neutral to (0,1) to avoid infinities
   const nz = Math.min(0.999999, Math.max(0.000001, neutral));
   const bias = Math.log10(nz / (1 - nz));            // E(mu) = neutral
@@ -57,7 +191,34 @@ function expectedPct(R, { mu = MU, width = WIDTH, neutral = NEUTRAL } = {}) {
   return 1 / (1 + Math.pow(10, expo));
 }
 
-export function computePlayerRating(
+export function computePlayerRating(entries, options = {}) {
+  const history = computeRatingHistory(entries, options);
+  if (!history.length) return options.initial ?? INITIAL;
+  const last = history[history.length - 1];
+  // practices missed since the last one attended count too
+  return pullTowardMu(last.rating, missedBetween(options, last.date, null), options);
+}
+
+// Current rating deviation: RD after the last practice, grown for the days
+// since then up to `today` (same options as computeRatingHistory)
+export function computeRatingDeviation(entries, options = {}) {
+  const history = computeRatingHistory(entries, options);
+  if (!history.length) return options.rdInitial ?? RD_INITIAL;
+  const last = history[history.length - 1];
+  return growDeviation(last.rd, daysSince(last.date, options.today ?? TODAY), options);
+}
+
+// Replays the Elo updates one practice at a time (oldest first). Each step
+// records the rating before/after, E(R), r_i, the decay weight w_i and ΔR.
+// Alongside, a Glicko-style rating deviation `rd` grows with the days since
+// the previous practice (capped at rdInitial) and shrinks with the entry's
+// reps: 1/RD² += reps/RD_REP². Entries without reps count as one rep.
+// With `defense`, entry pct is the scoring rate allowed; the player is rated
+// on the stop rate 1 - pct against a neutral of 1 - ν.
+// With `attendance: { held }` (every practice date), each practice missed in
+// a row beyond ABSENCE_GRACE first pulls the rating ABSENCE_PULL of the way
+// back to μ; `missed` and `pulled` record that step.
+export function computeRatingHistory(
   entries,
   {
     initial = INITIAL,     // starting rating
@@ -67,9 +228,15 @@ export function computePlayerRating(
     width = WIDTH,        // Elo width (bigger = flatter curve)
     today = TODAY, // for age calculation
     neutral = NEUTRAL,  // define NEUTRAL elsewhere (e.g., 0.5 or 0.6)
+    defense = false,  // rate entries as scoring allowed rather than scored
+    attendance = null, // { held, grace?, pull? } to pull long absences toward mu
+    rdInitial = RD_INITIAL, // uncertainty before any practice
+    rdPerRep = RD_REP,  // noise of a single rep
+    rdGrowth = RD_GROWTH, // RD growth per √day between practices
   } = {}
 ) {
   const MS_DAY = 86400000;
+  if (defense) neutral = 1 - neutral;
 
   const toUTC = (ymd) => {
     const [y, m, d] = (ymd || "").split("-").map(Number);
@@ -87,11 +254,15 @@ export function computePlayerRating(
     .filter(Boolean)
     .sort((a, b) => (a.date || "").localeCompare(b.date || ""));
 
+  const history = [];
   let R = initial;
+  let rd = rdInitial;
+  let lastDate = null;
 
   for (const e of sorted) {
-    const r = Math.min(1, Math.max(0, Number(e.pct))); // clamp
-    if (!Number.isFinite(r)) continue;
+    const pct = Math.min(1, Math.max(0, Number(e.pct))); // clamp
+    if (!Number.isFinite(pct)) continue;
+    const r = defense ? 1 - pct : pct;
 
     const when = toUTC(e.date);
     if (!Number.isFinite(when)) continue;
@@ -99,18 +270,96 @@ export function computePlayerRating(
     const ageDays = Math.max(0, Math.floor((todayUTC - when) / MS_DAY));
     const decay = halfLifeDays > 0 ? Math.pow(0.5, ageDays / halfLifeDays) : 1;
 
+    const missed = lastDate ? missedBetween({ attendance, today }, lastDate, e.date) : 0;
+    const pulled = pullTowardMu(R, missed, { attendance, mu }) - R;
+    R += pulled;
+    if (lastDate) rd = growDeviation(rd, Math.max(0, (when - toUTC(lastDate)) / MS_DAY), { rdInitial, rdGrowth });
+    const reps = Number(e.reps) > 0 ? Number(e.reps) : 1;
+    rd = 1 / Math.sqrt(1 / rd ** 2 + reps / rdPerRep ** 2);
+    lastDate = e.date;
+
     const expected = expectedPct(R, { mu, width, neutral });
 
     // Incremental Elo-style update (uncapped)
-    R = R + K * decay * (r - expected);
+    const delta = K * decay * (r - expected);
+    history.push({ date: e.date, pct: r, expected, decay, delta, before: R, rating: R + delta, missed, pulled, rd });
+    R = R + delta;
   }
 
-  return R;
+  return history;
+}
+
+// Glicko's inactivity step: RD² grows by growth² per day, up to rdInitial
+function growDeviation(rd, days, { rdInitial = RD_INITIAL, rdGrowth = RD_GROWTH } = {}) {
+  return Math.min(rdInitial, Math.sqrt(rd ** 2 + rdGrowth ** 2 * days));
+}
+
+// Whole days from a YYYY-MM-DD date to `today` (0 if today is earlier)
+function daysSince(ymd, today) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const t = new Date(today);
+  const days = (Date.UTC(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate()) - Date.UTC(y, m - 1, d)) / 86400000;
+  return Math.max(0, days);
+}
+
+// Practices held strictly between two dates (to = null: up to today)
+function missedBetween({ attendance, today = TODAY }, from, to) {
+  if (!attendance?.held) return 0;
+  const end = to ?? new Date(today).toISOString().slice(0, 10);
+  return attendance.held.filter((d) => d > from && (to ? d < end : d <= end)).length;
+}
+
+function pullTowardMu(R, missed, { attendance, mu = MU }) {
+  const { grace = ABSENCE_GRACE, pull = ABSENCE_PULL } = attendance || {};
+  if (!attendance || missed <= grace) return R;
+  return mu + (R - mu) * Math.pow(1 - pull, missed - grace);
+}
+
+// Per player over the given practices: { attended, held, currentStreak,
+// longestStreak, lastSeen }. Streaks count consecutive practices attended;
+// the current streak is 0 for a player who missed the latest practice.
+export function computeAttendance(practices) {
+  const dates = [...new Set((practices || []).filter((p) => p && p.date).map((p) => p.date))].sort();
+  const seen = new Map(); // player -> Set(date)
+  for (const p of practices || []) {
+    if (!p || !p.teams) continue;
+    for (const t of p.teams) {
+      for (const player of Array.isArray(t.roster) ? t.roster : []) {
+        if (!seen.has(player)) seen.set(player, new Set());
+        seen.get(player).add(p.date);
+      }
+    }
+  }
+
+  const out = new Map();
+  for (const [player, attendedDates] of seen) {
+    let run = 0;
+    let longestStreak = 0;
+    let lastSeen = null;
+    for (const d of dates) {
+      if (attendedDates.has(d)) {
+        run++;
+        longestStreak = Math.max(longestStreak, run);
+        lastSeen = d;
+      } else {
+        run = 0;
+      }
+    }
+    out.set(player, { attended: attendedDates.size, held: dates.length, currentStreak: run, longestStreak, lastSeen });
+  }
+  return out;
 }
 
 export function aggregatePlayerStats(practices) {
-  // Map: playerName -> { scored: number, reps: number }
+  // Map: playerName -> { scored, reps, practices, allowed, defReps, defPractices }
+  // allowed/defReps count the reps a player's team defended (results with defending_team_id)
   const playerMap = new Map();
+  const getPlayer = (player) => {
+    if (!playerMap.has(player)) {
+      playerMap.set(player, { scored: 0, reps: 0, practices: [], allowed: 0, defReps: 0, defPractices: [] });
+    }
+    return playerMap.get(player);
+  };
 
   for (const p of practices) {
     if (!p || !p.teams || !p.results) continue;
@@ -126,11 +375,18 @@ export function aggregatePlayerStats(practices) {
       const scores = Number(r.scores || 0);
 
       for (const player of roster) {
-        if (!playerMap.has(player)) playerMap.set(player, { scored: 0, reps: 0, practices: [] });
-        const cur = playerMap.get(player);
+        const cur = getPlayer(player);
         cur.scored += scores;
         cur.reps += reps;
-        cur.practices.push({date: p.date, pct: scores / reps })
+        cur.practices.push({date: p.date, pct: scores / reps, reps })
+      }
+
+      const defenders = r.defending_team_id != null ? teamRoster.get(r.defending_team_id) || [] : [];
+      for (const player of defenders) {
+        const cur = getPlayer(player);
+        cur.allowed += scores;
+        cur.defReps += reps;
+        cur.defPractices.push({ date: p.date, pct: scores / reps, reps });
       }
     }
   }
@@ -138,13 +394,165 @@ export function aggregatePlayerStats(practices) {
   return playerMap;
 }
 
-export function toLeaderboard(playerMap) {
+// Pairwise "chemistry": for every two players who shared a roster, the reps
+// and scores they played together and each one's scoring rate without the
+// other. Returns [{ a, b, reps, scored, pct, apartA, apartB, lift, practices }]
+// with a < b; apartA/apartB are null when that player has no reps apart, and
+// lift is pct minus the mean of the available apart rates (null if neither).
+export function computeChemistry(practices) {
+  const totals = aggregatePlayerStats(practices);
+  const pairs = new Map(); // "a|b" -> { a, b, reps, scored, practices }
+
+  for (const p of practices || []) {
+    if (!p || !p.teams || !p.results) continue;
+
+    const teamRoster = new Map();
+    for (const t of p.teams) {
+      teamRoster.set(t.team_id, Array.isArray(t.roster) ? t.roster : []);
+    }
+
+    for (const r of p.results) {
+      const roster = [...new Set(teamRoster.get(r.team_id) || [])].sort();
+      const reps = Number(r.reps || 0);
+      const scores = Number(r.scores || 0);
+
+      for (let i = 0; i < roster.length; i++) {
+        for (let j = i + 1; j < roster.length; j++) {
+          const key = `${roster[i]}|${roster[j]}`;
+          if (!pairs.has(key)) pairs.set(key, { a: roster[i], b: roster[j], reps: 0, scored: 0, practices: [] });
+          const cur = pairs.get(key);
+          cur.reps += reps;
+          cur.scored += scores;
+          cur.practices.push({ date: p.date, team_id: r.team_id, reps, scored: scores });
+        }
+      }
+    }
+  }
+
+  const apartRate = (player, pair) => {
+    const t = totals.get(player);
+    const reps = t.reps - pair.reps;
+    return reps > 0 ? (t.scored - pair.scored) / reps : null;
+  };
+
+  return [...pairs.values()].map((pair) => {
+    const pct = pair.reps > 0 ? pair.scored / pair.reps : 0;
+    const apartA = apartRate(pair.a, pair);
+    const apartB = apartRate(pair.b, pair);
+    const apart = [apartA, apartB].filter((x) => x != null);
+    const lift = apart.length ? pct - apart.reduce((s, x) => s + x, 0) / apart.length : null;
+    return { ...pair, pct, apartA, apartB, lift };
+  });
+}
+
+// Fits every player's effect at once: a reps-weighted ridge regression of
+// team scoring rate on roster membership, across all practices.
+//   r_t - r̄ = Σ_{j ∈ roster(t)} β_j,  minimizing Σ reps_t (·)² + λ Σ β_j²
+// β_j is the change in a team's scoring rate attributed to player j.
+export function computePlayerContributions(practices, { lambda = RIDGE } = {}) {
+  const obs = []; // { roster, reps, rate }
+  const players = [];
+  const index = new Map();
+  let totalReps = 0;
+  let totalScores = 0;
+
+  for (const p of practices || []) {
+    if (!p || !p.teams || !p.results) continue;
+
+    const teamRoster = new Map();
+    for (const t of p.teams) {
+      teamRoster.set(t.team_id, Array.isArray(t.roster) ? t.roster : []);
+    }
+
+    for (const r of p.results) {
+      const roster = teamRoster.get(r.team_id) || [];
+      const reps = Number(r.reps || 0);
+      const scores = Number(r.scores || 0);
+      if (reps <= 0 || roster.length === 0) continue;
+
+      for (const player of roster) {
+        if (!index.has(player)) {
+          index.set(player, players.length);
+          players.push(player);
+        }
+      }
+      obs.push({ roster: roster.map((pl) => index.get(pl)), reps, rate: scores / reps });
+      totalReps += reps;
+      totalScores += scores;
+    }
+  }
+
+  const result = new Map();
+  const n = players.length;
+  if (n === 0) return result;
+
+  const mean = totalScores / totalReps;
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const b = new Array(n).fill(0);
+
+  for (const { roster, reps, rate } of obs) {
+    for (const i of roster) {
+      b[i] += reps * (rate - mean);
+      for (const j of roster) A[i][j] += reps;
+    }
+  }
+  for (let i = 0; i < n; i++) A[i][i] += lambda;
+
+  const beta = solveLinear(A, b);
+  players.forEach((player, i) => result.set(player, beta[i]));
+  return result;
+}
+
+// Gaussian elimination with partial pivoting (A is symmetric positive definite here)
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      if (f === 0) continue;
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+// initialRatings: optional Map(player -> starting rating), e.g. ratings
+// carried over from earlier seasons. Players not in it start at
+// ratingOptions.initial (default INITIAL).
+// ratingOptions: passed through to computePlayerRating (K, halfLifeDays, mu, width, neutral, attendance, initial).
+// Rows carry the rating deviation `rd` and `conservative` = rating - z·RD.
+// ratings: optional Map(player -> { rating, rd, conservative }) from another
+// rating model (see ratingModels.js), used instead of the decayed Elo.
+export function toLeaderboard(playerMap, contributions = new Map(), { initialRatings = null, ratingOptions = {}, ratings = null } = {}) {
   const rows = [];
   const usedPlayers = [];
-  for (const [player, { scored, reps, practices }] of playerMap.entries()) {
+  for (const [player, { scored, reps, practices, allowed = 0, defReps = 0, defPractices = [] }] of playerMap.entries()) {
     const pct = reps > 0 ? scored / reps : 0;
-    const rating = computePlayerRating(practices);
-    rows.push({ player, scored, reps, pct, rating });
+    const rated = ratings?.get(player);
+    const rating = rated ? rated.rating : computePlayerRating(practices, { ...ratingOptions, initial: initialRatings?.get(player) ?? ratingOptions.initial ?? INITIAL });
+    const rd = rated ? rated.rd : computeRatingDeviation(practices, ratingOptions);
+    const conservative = rated ? rated.conservative : rating - CONSERVATIVE_Z * rd;
+    const contribution = contributions.get(player) ?? 0;
+    // Defensive numbers are null when no result records this player's team defending
+    const allowedPct = defReps > 0 ? allowed / defReps : null;
+    const defRating = defPractices.length > 0 ? computePlayerRating(defPractices, { ...ratingOptions, attendance: null, defense: true }) : null;
+    const practiceCount = new Set(practices.map((e) => e.date)).size;
+    rows.push({ player, scored, reps, pct, practiceCount, rating, rd, conservative, contribution, allowed, defReps, allowedPct, defRating });
   }
   rows.sort((a, b) => {
     if (b.rating !== a.rating) return b.rating - a.rating;
@@ -156,6 +564,17 @@ export function toLeaderboard(playerMap) {
   return rows;
 }
 
+// Final rating per player over the given practices; used as the starting
+// point for the next season when ratings carry over. ratingOptions as for
+// computePlayerRating (a drill's `neutral`).
+export function computeCarryOverRatings(practices, ratingOptions = {}) {
+  const ratings = new Map();
+  for (const [player, { practices: entries }] of aggregatePlayerStats(practices)) {
+    ratings.set(player, computePlayerRating(entries, ratingOptions));
+  }
+  return ratings;
+}
+
 export function getPlayerRankings(rows) {
     const rankByPlayer = {};
     rows.forEach((r, idx) => {
@@ -165,6 +584,55 @@ export function getPlayerRankings(rows) {
     return rankByPlayer
 }
 
+// Ratings as they stood right after the practice on `date`: only practices up
+// to that date count, and decay is measured from that date instead of today.
+// With a `model` from ratingModels.js, its ratings replace the decayed Elo
+// (initialRatings are then on that model's scale).
+export function leaderboardAsOf(practices, date, { initialRatings = null, contributions = new Map(), ratingOptions = {}, model = null } = {}) {
+  const upTo = practices.filter((p) => p && p.date <= date);
+  const options = { ...ratingOptions, today: new Date(date) };
+  return toLeaderboard(aggregatePlayerStats(upTo), contributions, {
+    initialRatings,
+    ratingOptions: options,
+    ratings: model ? model.rate(upTo, { ...options, initialRatings }) : null,
+  });
+}
+
+// Who moved after the practice on `date` (default: the latest one), compared
+// with the leaderboard as of the practice before it. Returns { date, previous,
+// moves: Map(player -> { rank, rankChange, ratingDelta }) }; rankChange is
+// positive for climbing and null for a player's first practice; ratingDelta
+// is null there when the model has no fixed starting rating.
+export function computeMovement(practices, { date = null, initialRatings = null, ratingOptions = {}, model = null } = {}) {
+  const dates = [...new Set(practices.map((p) => p.date))].sort();
+  const at = date ?? dates[dates.length - 1] ?? null;
+  const idx = dates.indexOf(at);
+  const previous = idx > 0 ? dates[idx - 1] : null;
+  const moves = new Map();
+  if (idx < 0) return { date: at, previous, moves };
+
+  const before = previous ? leaderboardAsOf(practices, previous, { initialRatings, ratingOptions, model }) : [];
+  const prevRank = getPlayerRankings(before);
+  const prevRating = new Map(before.map((r) => [r.player, r.rating]));
+
+  const fallback = model ? model.initial : INITIAL;
+  leaderboardAsOf(practices, at, { initialRatings, ratingOptions, model }).forEach((row, i) => {
+    const start = prevRating.get(row.player) ?? initialRatings?.get(row.player) ?? fallback;
+    moves.set(row.player, {
+      rank: i + 1,
+      rankChange: prevRank[row.player] != null ? prevRank[row.player] - (i + 1) : null,
+      ratingDelta: start == null ? null : row.rating - start,
+    });
+  });
+  return { date: at, previous, moves };
+}
+
 export function formatPct(p) {
   return (p * 100).toFixed(1) + "%";
+}
+
+// Signed percentage points, e.g. +2.4 pp
+export function formatPP(p) {
+  const v = p * 100;
+  return (v >= 0 ? "+" : "−") + Math.abs(v).toFixed(1) + " pp";
 }
\ No newline at end of file
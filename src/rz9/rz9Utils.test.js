@@ -0,0 +1,230 @@
+import {
+  aggregateIndividualStats,
+  aggregatePlayerStats,
+  computeAttendance,
+  computeChemistry,
+  computeMovement,
+  buildRoster,
+  computePlayerContributions,
+  computePlayerRating,
+  computeRatingDeviation,
+  computeRatingHistory,
+  computeCarryOverRatings,
+  toLeaderboard,
+  normalizePractice,
+  playerName,
+  INITIAL,
+  RD_INITIAL,
+} from './rz9Utils';
+
+const today = new Date(Date.UTC(2025, 8, 30));
+
+test('rating history replays to the same final rating', () => {
+  const entries = [
+    { date: '2025-09-09', pct: 0.4 },
+    { date: '2025-09-04', pct: 0.9 },
+  ];
+  const history = computeRatingHistory(entries, { today });
+
+  expect(history.map((h) => h.date)).toEqual(['2025-09-04', '2025-09-09']);
+  expect(history[0].before).toBe(INITIAL);
+  expect(history[1].before).toBe(history[0].rating);
+  expect(history[1].rating).toBeCloseTo(computePlayerRating(entries, { today }));
+  for (const h of history) {
+    expect(h.rating - h.before).toBeCloseTo(h.delta);
+    expect(h.decay).toBeGreaterThan(0);
+    expect(h.decay).toBeLessThanOrEqual(1);
+  }
+});
+
+test('rating with no practices is the initial rating', () => {
+  expect(computeRatingHistory([])).toEqual([]);
+  expect(computePlayerRating([])).toBe(INITIAL);
+});
+
+test('contributions separate a player from their teammates', () => {
+  const practice = (date, strong, weak) => ({
+    date,
+    teams: [{ team_id: '1', roster: strong }, { team_id: '2', roster: weak }],
+    results: [{ team_id: '1', reps: 10, scores: 9 }, { team_id: '2', reps: 10, scores: 5 }],
+  });
+  const contributions = computePlayerContributions([
+    practice('2025-09-04', ['A', 'B'], ['C', 'D']),
+    practice('2025-09-09', ['A', 'C'], ['B', 'D']),
+  ]);
+
+  expect(contributions.get('A')).toBeGreaterThan(contributions.get('B'));
+  expect(contributions.get('B')).toBeCloseTo(contributions.get('C'));
+  expect(contributions.get('D')).toBeLessThan(contributions.get('B'));
+});
+
+test('defending team is credited with the scoring rate it allowed', () => {
+  const stats = aggregatePlayerStats([{
+    date: '2025-09-04',
+    teams: [{ team_id: 'A', roster: ['X'] }, { team_id: 'B', roster: ['Y'] }],
+    results: [
+      { team_id: 'A', reps: 10, scores: 8, defending_team_id: 'B' },
+      { team_id: 'B', reps: 10, scores: 3 },
+    ],
+  }]);
+
+  expect(stats.get('Y')).toMatchObject({ allowed: 8, defReps: 10 });
+  expect(stats.get('X')).toMatchObject({ allowed: 0, defReps: 0 });
+  expect(computePlayerRating(stats.get('Y').defPractices, { defense: true, today }))
+    .toBeLessThan(INITIAL);
+});
+
+test('renamed players resolve to one id through the roster', () => {
+  const roster = buildRoster([{ id: 'p1', name: 'Sam G.', aliases: ['Sam Granade'] }]);
+  const practice = (date, name) => ({
+    date,
+    teams: [{ team_id: 'A', roster: [name, 'Walk On'] }],
+    results: [{ team_id: 'A', reps: 10, scores: 5 }],
+  });
+  const stats = aggregatePlayerStats([
+    normalizePractice(practice('2025-09-04', 'Sam Granade'), roster),
+    normalizePractice(practice('2025-09-09', 'sam g.'), roster),
+  ]);
+
+  expect([...stats.keys()]).toEqual(['p1', 'Walk On']);
+  expect(stats.get('p1').reps).toBe(20);
+  expect(playerName(roster, 'p1')).toBe('Sam G.');
+  expect(playerName(roster, 'Walk On')).toBe('Walk On');
+});
+
+test('ratings carried over from an earlier season seed the next one', () => {
+  const practice = (date, scores) => ({
+    date,
+    teams: [{ team_id: 'A', roster: ['X'] }],
+    results: [{ team_id: 'A', reps: 10, scores }],
+  });
+  const previous = [practice('2024-09-04', 10), practice('2024-09-09', 9)];
+  const current = [practice('2025-09-04', 5)];
+
+  const carried = computeCarryOverRatings(previous);
+  const [fresh] = toLeaderboard(aggregatePlayerStats(current));
+  const [continued] = toLeaderboard(aggregatePlayerStats(current), new Map(), { initialRatings: carried });
+
+  expect(carried.get('X')).toBeGreaterThan(INITIAL);
+  expect(continued.rating).toBeCloseTo(computePlayerRating(
+    aggregatePlayerStats([...previous, ...current]).get('X').practices
+  ));
+  expect(continued.rating).toBeGreaterThan(fresh.rating);
+  // without a carried-over rating, ratingOptions.initial is the starting point
+  const [shifted] = toLeaderboard(aggregatePlayerStats(current), new Map(), { ratingOptions: { initial: INITIAL + 200, mu: INITIAL + 200 } });
+  expect(shifted.rating).toBeCloseTo(fresh.rating + 200);
+  // a drill with an easier neutral rate carries over less
+  expect(computeCarryOverRatings(previous, { neutral: 0.8 }).get('X')).toBeLessThan(carried.get('X'));
+});
+
+test('chemistry compares a pair together against each player apart', () => {
+  const practice = (date, rosterA, rosterB) => ({
+    date,
+    teams: [{ team_id: '1', roster: rosterA }, { team_id: '2', roster: rosterB }],
+    results: [{ team_id: '1', reps: 10, scores: 8 }, { team_id: '2', reps: 10, scores: 4 }],
+  });
+  const pairs = computeChemistry([
+    practice('2025-09-04', ['B', 'A'], ['C']),
+    practice('2025-09-09', ['A'], ['B', 'C']),
+  ]);
+  const ab = pairs.find((p) => p.a === 'A' && p.b === 'B');
+
+  expect(ab).toMatchObject({ reps: 10, scored: 8, pct: 0.8, apartA: 0.8, apartB: 0.4 });
+  expect(ab.lift).toBeCloseTo(0.2);
+  expect(ab.practices.map((p) => p.date)).toEqual(['2025-09-04']);
+  expect(pairs.find((p) => p.a === 'A' && p.b === 'C')).toBeUndefined();
+});
+
+test('movement compares ranks with the practice before', () => {
+  const practice = (date, winners, losers) => ({
+    date,
+    teams: [{ team_id: '1', roster: winners }, { team_id: '2', roster: losers }],
+    results: [{ team_id: '1', reps: 10, scores: 10 }, { team_id: '2', reps: 10, scores: 0 }],
+  });
+  const practices = [
+    practice('2025-09-04', ['A', 'D'], ['B']),
+    practice('2025-09-09', ['B'], ['A', 'C']),
+  ];
+  const { previous, moves } = computeMovement(practices);
+
+  expect(previous).toBe('2025-09-04');
+  expect(moves.get('B').rankChange).toBeGreaterThan(0);
+  expect(moves.get('A').rankChange).toBeLessThan(0);
+  expect(moves.get('A').ratingDelta).toBeLessThan(0);
+  expect(moves.get('C').rankChange).toBeNull();
+  expect(computeMovement(practices, { date: '2025-09-04' }).moves.get('A').rankChange).toBeNull();
+});
+
+test('attendance counts streaks and last seen', () => {
+  const practice = (date, roster) => ({
+    date,
+    teams: [{ team_id: 'A', roster }],
+    results: [{ team_id: 'A', reps: 10, scores: 5 }],
+  });
+  const attendance = computeAttendance([
+    practice('2025-09-01', ['X', 'Y']),
+    practice('2025-09-02', ['X', 'Y']),
+    practice('2025-09-03', ['Y']),
+    practice('2025-09-04', ['X']),
+  ]);
+
+  expect(attendance.get('X')).toEqual({ attended: 3, held: 4, currentStreak: 1, longestStreak: 2, lastSeen: '2025-09-04' });
+  expect(attendance.get('Y')).toMatchObject({ attended: 3, currentStreak: 0, longestStreak: 3, lastSeen: '2025-09-03' });
+});
+
+test('long absences pull the rating back toward mu only when enabled', () => {
+  const entries = [{ date: '2025-09-01', pct: 1 }, { date: '2025-09-10', pct: 1 }];
+  const held = ['2025-09-01', '2025-09-02', '2025-09-03', '2025-09-04', '2025-09-05', '2025-09-10'];
+  const options = { today, halfLifeDays: 0 };
+
+  const plain = computeRatingHistory(entries, options);
+  const pulled = computeRatingHistory(entries, { ...options, attendance: { held } });
+
+  expect(plain[1].before).toBe(plain[0].rating);
+  expect(pulled[1].missed).toBe(4);
+  expect(pulled[1].before).toBeLessThan(pulled[0].rating);
+  expect(pulled[1].before).toBeGreaterThan(INITIAL);
+  expect(pulled[1].before - pulled[0].rating).toBeCloseTo(pulled[1].pulled);
+
+  // practices missed after the last one attended count as well
+  const later = [...held, '2025-09-11', '2025-09-12', '2025-09-13'];
+  expect(computePlayerRating(entries, { ...options, attendance: { held: later } }))
+    .toBeLessThan(computePlayerRating(entries, options));
+});
+
+test('individual stats come from stat lines, or from a rep log without them', () => {
+  const practices = [
+    {
+      date: '2025-09-01',
+      teams: [{ team_id: 'A', roster: ['X', 'Y'] }],
+      results: [{ team_id: 'A', reps: 3, scores: 2 }],
+      stats: [{ player: 'X', goals: 2, throwaways: 1 }, { player: 'Y', assists: 2, drops: 1 }],
+      reps: [{ team_id: 'A', outcome: 'score', scorer: 'Y' }],
+    },
+    {
+      date: '2025-09-02',
+      teams: [{ team_id: 'A', roster: ['X', 'Y'] }],
+      results: [{ team_id: 'A', reps: 2, scores: 1 }],
+      reps: [{ team_id: 'A', outcome: 'score', scorer: 'X', assist: 'Y' }, { team_id: 'A', outcome: 'drop' }],
+    },
+  ];
+  const stats = aggregateIndividualStats(practices);
+
+  expect(stats.get('X')).toEqual({ goals: 3, assists: 0, throwaways: 1, drops: 0, practices: 2 });
+  expect(stats.get('Y')).toEqual({ goals: 0, assists: 3, throwaways: 0, drops: 1, practices: 2 });
+});
+
+test('rating deviation shrinks with reps and grows back with inactivity', () => {
+  const entries = [{ date: '2025-09-01', pct: 0.6, reps: 10 }, { date: '2025-09-02', pct: 0.6, reps: 10 }];
+  const history = computeRatingHistory(entries, { today });
+
+  expect(history[0].rd).toBeLessThan(RD_INITIAL);
+  expect(history[1].rd).toBeLessThan(history[0].rd);
+
+  const soon = computeRatingDeviation(entries, { today: new Date(Date.UTC(2025, 8, 3)) });
+  const later = computeRatingDeviation(entries, { today });
+  expect(soon).toBeGreaterThan(history[1].rd);
+  expect(later).toBeGreaterThan(soon);
+  expect(computeRatingDeviation(entries, { today: new Date(Date.UTC(2026, 8, 1)) })).toBe(RD_INITIAL);
+  expect(computeRatingDeviation([], { today })).toBe(RD_INITIAL);
+});
@@ -0,0 +1,115 @@
+import { useEffect, useMemo, useState } from "react";
+import { fetchRoster, fetchSeasons, EMPTY_ROSTER, ALL_SEASONS } from "./rz9Utils";
+import { getDataSource, loadSeasonPractices } from "./dataSource";
+
+/**
+ * useSeasonPractices — a season's practices, and the earlier seasons behind
+ * its carried-over ratings
+ *
+ * Shared by the Leaderboard and Compare so both read the same practices and
+ * start from the same ratings.
+ *
+ * - drill: the drill (drills.js) whose seasons are loaded
+ * - seasonParam: the season id from the URL; none means the latest season,
+ *   ALL_SEASONS every season
+ * - carryOverChoice: true/false to override the season's `carryOver`, or
+ *   null for the season default (never carried over for all-time)
+ *
+ * Returns { seasons, seasonId, season, isAllTime, loadedSeasons, practices,
+ * prior, carryOver, roster, issues, loading, error }. `loadedSeasons` is
+ * [{ id, practices }] oldest first; `prior` holds the earlier seasons'
+ * practices when ratings carry over, otherwise []. `issues` are the data
+ * warnings of the season on screen.
+ */
+export function useSeasonPractices(drill, seasonParam, carryOverChoice = null) {
+  const [seasons, setSeasons] = useState([]);
+  const [loadedSeasons, setLoadedSeasons] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [issues, setIssues] = useState([]);
+  const [roster, setRoster] = useState(EMPTY_ROSTER);
+
+  // No season in the URL means the latest one
+  const seasonId = seasonParam || seasons[seasons.length - 1]?.id || null;
+  const isAllTime = seasonId === ALL_SEASONS;
+  const season = seasons.find((s) => s.id === seasonId) || null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    (async () => {
+      try {
+        const list = await fetchSeasons(drill.dataPath);
+        if (cancelled) return;
+        if (!Array.isArray(list)) {
+          setSeasons([]);
+          setLoadedSeasons([]);
+          setError("seasons.json isn't a list of seasons.");
+          return;
+        }
+        setSeasons(list);
+        const target = seasonParam || list[list.length - 1]?.id;
+        const idx = list.findIndex((s) => s.id === target);
+        if (target !== ALL_SEASONS && idx < 0) {
+          setLoadedSeasons([]);
+          setError(target ? `Unknown season "${target}".` : "No seasons configured.");
+          return;
+        }
+
+        const found = [];
+        let reg = EMPTY_ROSTER;
+        try {
+          reg = await fetchRoster();
+        } catch (e) {
+          console.warn(e);
+          found.push({ file: "roster.json", field: "", message: `Failed to load: ${e.message}` });
+        }
+
+        // Earlier seasons are loaded too, for carried-over ratings
+        const source = getDataSource(undefined, drill);
+        const wanted = target === ALL_SEASONS ? list : list.slice(0, idx + 1);
+        const loaded = await Promise.all(wanted.map((s) => loadSeasonPractices(source, s.id, reg)));
+        const out = wanted.map((s, i) => ({ id: s.id, practices: loaded[i].practices }));
+        // only the season on screen reports data warnings
+        wanted.forEach((s, i) => {
+          if (target === ALL_SEASONS || s.id === target) found.push(...loaded[i].issues);
+        });
+        if (!cancelled) {
+          setRoster(reg);
+          setLoadedSeasons(out);
+          setIssues(found);
+        }
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) setError("Failed to load practice data.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [seasonParam, drill]);
+
+  const carryOver = !isAllTime && (carryOverChoice ?? !!season?.carryOver);
+
+  const practices = useMemo(() => {
+    if (isAllTime) return loadedSeasons.flatMap((s) => s.practices);
+    return loadedSeasons.find((s) => s.id === seasonId)?.practices || [];
+  }, [loadedSeasons, seasonId, isAllTime]);
+
+  const prior = useMemo(
+    () => (carryOver ? loadedSeasons.filter((s) => s.id !== seasonId).flatMap((s) => s.practices) : []),
+    [carryOver, loadedSeasons, seasonId]
+  );
+
+  return { seasons, seasonId, season, isAllTime, loadedSeasons, practices, prior, carryOver, roster, issues, loading, error };
+}
+
+/** The ?carryOver= query value: "1"/"0" override the season default, otherwise null. */
+export function parseCarryOver(value) {
+  if (value === "1") return true;
+  if (value === "0") return false;
+  return null;
+}
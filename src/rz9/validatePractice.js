@@ -0,0 +1,219 @@
+import { resolvePlayer, repTotals, REP_OUTCOMES, STAT_KEYS } from "./rz9Utils";
+
+/**
+ * validatePractice — checks one practice object against the RZ9 practice format
+ *
+ * {
+ *   date: "YYYY-MM-DD",
+ *   teams:   [{ team_id, roster: [player, ...] }],
+ *   results: [{ team_id, reps, scores, defending_team_id? }],
+ *   reps?:   [{ team_id, outcome: "score" | "turnover" | "drop", scorer?, assist? }]
+ *   stats?:  [{ player, goals?, assists?, throwaways?, drops? }]
+ * }
+ *
+ * Returns a list of issues: { file, field, message }. `field` is a path into
+ * the practice (e.g. "results[1].scores") so the panel can point at it.
+ * An empty list means the practice is fine to aggregate.
+ *
+ * Roster entries are resolved through `roster` (from buildRoster), so a
+ * player listed by name and by alias still counts as one player. Without a
+ * roster, entries are compared as written and not checked for membership.
+ *
+ * Drills other than Red Zone 9s name the result counts differently; pass the
+ * drill's `metrics` (drills.js) to check its fields instead of reps/scores.
+ */
+export function validatePractice(practice, { file = null, roster = null, metrics = null } = {}) {
+  const issues = [];
+  const add = (field, message) => issues.push({ file, field, message });
+  const attempts = metrics?.attempts ?? { field: "reps", label: "Reps" };
+  const successes = metrics?.successes ?? { field: "scores", label: "Scores" };
+
+  if (!practice || typeof practice !== "object" || Array.isArray(practice)) {
+    add("", "Practice must be a JSON object.");
+    return issues;
+  }
+
+  // date
+  if (typeof practice.date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(practice.date)) {
+    add("date", `Expected a YYYY-MM-DD date, got ${JSON.stringify(practice.date)}.`);
+  } else if (file && file.endsWith(".json") && file.split("/").pop() !== `${practice.date}.json`) {
+    add("date", `Date ${practice.date} does not match file name ${file}.`);
+  }
+
+  const teams = practice.teams;
+  const results = practice.results;
+  if (!Array.isArray(teams)) add("teams", "Missing teams array.");
+  if (!Array.isArray(results)) add("results", "Missing results array.");
+  if (!Array.isArray(teams) || !Array.isArray(results)) return issues;
+
+  // teams & rosters
+  const teamIds = new Set();
+  const playerTeam = new Map(); // player id -> team_id
+  teams.forEach((t, i) => {
+    const at = `teams[${i}]`;
+    if (!t || typeof t !== "object") {
+      add(at, "Team must be an object.");
+      return;
+    }
+    if (t.team_id == null || t.team_id === "") {
+      add(`${at}.team_id`, "Missing team_id.");
+    } else if (teamIds.has(t.team_id)) {
+      add(`${at}.team_id`, `Duplicate team_id "${t.team_id}".`);
+    } else {
+      teamIds.add(t.team_id);
+    }
+
+    if (!Array.isArray(t.roster)) {
+      add(`${at}.roster`, "Missing roster array.");
+      return;
+    }
+    if (t.roster.length === 0) add(`${at}.roster`, `Team "${t.team_id}" has no players.`);
+
+    t.roster.forEach((player, j) => {
+      const field = `${at}.roster[${j}]`;
+      if (typeof player !== "string" || player === "") {
+        add(field, "Roster entries must be player names.");
+        return;
+      }
+      const id = roster ? resolvePlayer(roster, player) : player;
+      if (id == null) add(field, `"${player}" is not in the roster.`);
+      const key = id ?? player;
+      if (playerTeam.has(key)) {
+        const other = playerTeam.get(key);
+        add(field, other === t.team_id
+          ? `"${player}" is listed twice on team "${t.team_id}".`
+          : `"${player}" is on both team "${other}" and team "${t.team_id}".`);
+      } else {
+        playerTeam.set(key, t.team_id);
+      }
+    });
+  });
+
+  // results
+  const seen = new Set(); // team_id|defending_team_id
+  const withResult = new Set();
+  results.forEach((r, i) => {
+    const at = `results[${i}]`;
+    if (!r || typeof r !== "object") {
+      add(at, "Result must be an object.");
+      return;
+    }
+    if (!teamIds.has(r.team_id)) {
+      add(`${at}.team_id`, `No team with team_id "${r.team_id}".`);
+    } else {
+      withResult.add(r.team_id);
+    }
+
+    const reps = checkCount(r[attempts.field], `${at}.${attempts.field}`, add);
+    const scores = checkCount(r[successes.field], `${at}.${successes.field}`, add);
+    if (reps != null && scores != null && scores > reps) {
+      add(`${at}.${successes.field}`, `${successes.label} (${scores}) exceed ${attempts.label.toLowerCase()} (${reps}).`);
+    }
+
+    if (r.defending_team_id != null) {
+      if (!teamIds.has(r.defending_team_id)) {
+        add(`${at}.defending_team_id`, `No team with team_id "${r.defending_team_id}".`);
+      } else if (r.defending_team_id === r.team_id) {
+        add(`${at}.defending_team_id`, `Team "${r.team_id}" cannot defend itself.`);
+      }
+    }
+
+    const key = `${r.team_id}|${r.defending_team_id ?? ""}`;
+    if (seen.has(key)) add(at, `Duplicate result for team "${r.team_id}".`);
+    seen.add(key);
+  });
+
+  for (const id of teamIds) {
+    if (!withResult.has(id)) add("results", `Team "${id}" has no result.`);
+  }
+
+  if (practice.reps != null) validateReps(practice, { teamIds, playerTeam, roster, add, attempts, successes });
+  if (practice.stats != null) validateStats(practice, { playerTeam, roster, add });
+
+  return issues;
+}
+
+// The optional rep log: known teams and outcomes, scorer/assist on the rep's
+// team, and result totals that match the log for every logged team
+function validateReps(practice, { teamIds, playerTeam, roster, add, attempts, successes }) {
+  if (!Array.isArray(practice.reps)) {
+    add("reps", "reps must be an array.");
+    return;
+  }
+
+  const idOf = (name) => (roster ? resolvePlayer(roster, name) ?? name : name);
+  practice.reps.forEach((r, i) => {
+    const at = `reps[${i}]`;
+    if (!r || typeof r !== "object") {
+      add(at, "Rep must be an object.");
+      return;
+    }
+    if (!teamIds.has(r.team_id)) add(`${at}.team_id`, `No team with team_id "${r.team_id}".`);
+    if (!REP_OUTCOMES.includes(r.outcome)) {
+      add(`${at}.outcome`, `Outcome must be one of ${REP_OUTCOMES.join(", ")}, got ${JSON.stringify(r.outcome)}.`);
+    }
+    for (const role of ["scorer", "assist"]) {
+      if (r[role] == null) continue;
+      if (r.outcome !== "score") add(`${at}.${role}`, `Only a score has a ${role}.`);
+      else if (playerTeam.get(idOf(r[role])) !== r.team_id) add(`${at}.${role}`, `"${r[role]}" is not on team "${r.team_id}".`);
+    }
+    if (r.scorer != null && r.assist != null && idOf(r.scorer) === idOf(r.assist)) {
+      add(`${at}.assist`, "A player cannot assist their own score.");
+    }
+  });
+
+  const logged = repTotals(practice.reps);
+  const reported = new Map();
+  for (const r of practice.results) {
+    if (!r || !logged.has(r.team_id)) continue;
+    const t = reported.get(r.team_id) || { reps: 0, scores: 0 };
+    reported.set(r.team_id, {
+      reps: t.reps + Number(r[attempts.field] || 0),
+      scores: t.scores + Number(r[successes.field] || 0),
+    });
+  }
+  for (const [team, t] of logged) {
+    const r = reported.get(team);
+    if (r && (r.reps !== t.reps || r.scores !== t.scores)) {
+      add("reps", `Team "${team}" logs ${t.scores}/${t.reps} reps but its results say ${r.scores}/${r.reps}.`);
+    }
+  }
+}
+
+// The optional stat lines: one per player who played, with whole-number counts
+function validateStats(practice, { playerTeam, roster, add }) {
+  if (!Array.isArray(practice.stats)) {
+    add("stats", "stats must be an array.");
+    return;
+  }
+
+  const seen = new Set();
+  practice.stats.forEach((line, i) => {
+    const at = `stats[${i}]`;
+    if (!line || typeof line !== "object") {
+      add(at, "Stat line must be an object.");
+      return;
+    }
+    const id = roster ? resolvePlayer(roster, line.player) ?? line.player : line.player;
+    if (typeof line.player !== "string" || line.player === "") {
+      add(`${at}.player`, "Missing player.");
+    } else if (!playerTeam.has(id)) {
+      add(`${at}.player`, `"${line.player}" is not on any team.`);
+    } else if (seen.has(id)) {
+      add(`${at}.player`, `"${line.player}" has more than one stat line.`);
+    }
+    seen.add(id);
+    for (const key of STAT_KEYS) {
+      if (line[key] != null) checkCount(line[key], `${at}.${key}`, add);
+    }
+  });
+}
+
+function checkCount(value, field, add) {
+  const n = Number(value);
+  if (value == null || value === "" || !Number.isInteger(n) || n < 0) {
+    add(field, `Expected a non-negative whole number, got ${JSON.stringify(value)}.`);
+    return null;
+  }
+  return n;
+}
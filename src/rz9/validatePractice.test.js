@@ -0,0 +1,97 @@
+import { validatePractice } from './validatePractice';
+import { buildRoster } from './rz9Utils';
+
+const roster = buildRoster([
+  { id: 'neal-zeng', name: 'Neal Zeng', aliases: ['Neal'] },
+  { id: 'connor-case', name: 'Connor Case' },
+  { id: 'stefan-mccall', name: 'Stefan McCall' },
+]);
+
+const practice = {
+  date: '2025-09-04',
+  teams: [
+    { team_id: 'A', roster: ['Neal Zeng', 'stefan-mccall'] },
+    { team_id: 'B', roster: ['Connor Case'] },
+  ],
+  results: [
+    { team_id: 'A', reps: 9, scores: 7, defending_team_id: 'B' },
+    { team_id: 'B', reps: 9, scores: 4 },
+  ],
+};
+
+test('a well-formed practice has no issues', () => {
+  expect(validatePractice(practice, { file: '2025-09-04.json', roster })).toEqual([]);
+});
+
+test('issues name the file and field', () => {
+  const bad = {
+    ...practice,
+    teams: [
+      { team_id: 'A', roster: ['Neal Zeng', 'Nobody'] },
+      { team_id: 'B', roster: ['Neal'] },
+    ],
+    results: [
+      { team_id: 'A', reps: 3, scores: 5 },
+      { team_id: 'C', reps: 9, scores: 4 },
+    ],
+  };
+  const fields = validatePractice(bad, { file: '2025-09-04.json', roster }).map((i) => [i.file, i.field]);
+
+  expect(fields).toEqual([
+    ['2025-09-04.json', 'teams[0].roster[1]'],
+    ['2025-09-04.json', 'teams[1].roster[0]'],
+    ['2025-09-04.json', 'results[0].scores'],
+    ['2025-09-04.json', 'results[1].team_id'],
+    ['2025-09-04.json', 'results'],
+  ]);
+});
+
+test('a rep log must match the results and credit players on the right team', () => {
+  const logged = {
+    ...practice,
+    results: [
+      { team_id: 'A', reps: 2, scores: 1 },
+      { team_id: 'B', reps: 1, scores: 1 },
+    ],
+    reps: [
+      { team_id: 'A', outcome: 'score', scorer: 'Neal', assist: 'stefan-mccall' },
+      { team_id: 'B', outcome: 'score', scorer: 'Neal Zeng' },
+      { team_id: 'A', outcome: 'drop' },
+      { team_id: 'A', outcome: 'huck' },
+    ],
+  };
+  const issues = validatePractice(logged, { roster }).map((i) => i.field);
+
+  expect(issues).toEqual(['reps[1].scorer', 'reps[3].outcome', 'reps']);
+  expect(validatePractice({ ...logged, reps: logged.reps.slice(0, 3) }, { roster }).map((i) => i.field))
+    .toEqual(['reps[1].scorer']);
+});
+
+test('stat lines belong to players on a team, once each, with whole counts', () => {
+  const withStats = {
+    ...practice,
+    stats: [
+      { player: 'Neal', goals: 2, assists: 1 },
+      { player: 'neal-zeng', drops: 1 },
+      { player: 'stefan-mccall', throwaways: -1 },
+      { player: 'Nobody', goals: 1 },
+    ],
+  };
+  const fields = validatePractice(withStats, { roster }).map((i) => i.field);
+
+  expect(fields).toEqual(['stats[1].player', 'stats[2].throwaways', 'stats[3].player']);
+});
+
+test("other drills' practices are checked with their own result fields", () => {
+  const metrics = { attempts: { field: 'attempts', label: 'Attempts' }, successes: { field: 'completions', label: 'Completions' } };
+  const huck = {
+    ...practice,
+    results: [
+      { team_id: 'A', attempts: 6, completions: 4 },
+      { team_id: 'B', attempts: 6, completions: 7 },
+    ],
+  };
+
+  expect(validatePractice(huck, { roster, metrics }).map((i) => i.field)).toEqual(['results[1].completions']);
+  expect(validatePractice(huck, { roster }).map((i) => i.field)).not.toEqual([]);
+});
@@ -0,0 +1,87 @@
+/* eslint-disable no-restricted-globals */
+
+// Offline support. Create React App builds this file into service-worker.js
+// (workbox InjectManifest) and serviceWorkerRegistration.js registers it.
+//
+// - The app shell (every file the build emits) is precached.
+// - roster.json and every drill's data folder (rz9_data, drills/<id>) are
+//   network-first: fresh when online, served from the cache on a field with no
+//   signal.
+// - On install, and whenever the app asks (CACHE_RZ9_DATA), every drill's
+//   season manifests and practice files are fetched into the cache, so
+//   practices never opened on this device are still there offline.
+
+import { clientsClaim } from 'workbox-core';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst } from 'workbox-strategies';
+import { DRILLS } from './rz9/drills';
+
+const DATA_CACHE = 'rz9-data';
+const PUBLIC_URL = process.env.PUBLIC_URL;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html (the app uses a HashRouter, so this is mostly "/")
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${PUBLIC_URL}/index.html`)
+);
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && isPracticeData(url.pathname),
+  new NetworkFirst({ cacheName: DATA_CACHE, matchOptions: { ignoreSearch: true } })
+);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cachePracticeData());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+  if (event.data?.type === 'CACHE_RZ9_DATA') event.waitUntil(cachePracticeData());
+});
+
+function isPracticeData(pathname) {
+  return pathname === `${PUBLIC_URL}/roster.json` || DRILLS.some((d) => pathname.startsWith(`${PUBLIC_URL}/${d.dataPath}/`));
+}
+
+// roster.json, then for each drill its seasons.json and each season's
+// manifest, bundle (when there is one) and practice files. Offline (or on any
+// failure) that drill's part of the cache is left as it is.
+async function cachePracticeData() {
+  const cache = await caches.open(DATA_CACHE);
+  await cacheUrls(cache, [`${PUBLIC_URL}/roster.json`]);
+  for (const drill of DRILLS) {
+    try {
+      const dir = `${PUBLIC_URL}/${drill.dataPath}`;
+      const seasons = await (await fetch(`${dir}/seasons.json`, { cache: 'no-store' })).json();
+      const urls = [`${dir}/seasons.json`];
+      for (const { id } of seasons) {
+        const manifestUrl = `${dir}/${id}/manifest.json`;
+        const files = await (await fetch(manifestUrl, { cache: 'no-store' })).json();
+        urls.push(manifestUrl, `${dir}/${id}/bundle.json`);
+        urls.push(...files.map((file) => `${dir}/${id}/${file}`));
+      }
+      await cacheUrls(cache, urls);
+    } catch (e) {
+      console.warn(`Could not cache ${drill.name} data:`, e);
+    }
+  }
+}
+
+async function cacheUrls(cache, urls) {
+  await Promise.all(
+    urls.map(async (url) => {
+      try {
+        const res = await fetch(url, { cache: 'no-store' });
+        if (res.ok) await cache.put(url, res);
+      } catch (e) {
+        console.warn(`Could not cache ${url}:`, e);
+      }
+    })
+  );
+}
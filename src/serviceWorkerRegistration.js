@@ -0,0 +1,22 @@
+// Registers src/service-worker.js in production builds (the dev server has no
+// service worker). Once it is active, the worker is asked to refresh its copy
+// of every practice file so the latest data is available offline.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => registration.active?.postMessage({ type: 'CACHE_RZ9_DATA' }))
+      .catch((e) => console.error('Service worker registration failed:', e));
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((e) => console.error(e.message));
+}